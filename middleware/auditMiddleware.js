@@ -0,0 +1,12 @@
+// File: middleware/auditMiddleware.js
+const { getContext } = require('../utils/requestContext');
+
+// Record every create, update and delete made while handling this request in
+// the AuditLog (see utils/auditPlugin.js). Mount on administrative routers.
+exports.auditMutations = (req, res, next) => {
+  const context = getContext();
+  if (context) {
+    context.audit = true;
+  }
+  next();
+};
@@ -1,9 +1,73 @@
 // File: middleware/authMiddleware.js
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Impersonation = require('../models/Impersonation');
+const { verificationMode } = require('../utils/emailVerification');
+const { can } = require('../utils/policy');
+const { extractApiKey, authenticateApiKey } = require('../utils/apiKeys');
+const impersonationTokens = require('../utils/impersonation');
+const mfaPolicy = require('../utils/mfaPolicy');
 
-// Protect routes
+// The only routes a session may use while a password change is pending
+const PASSWORD_CHANGE_ALLOWED_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/change-password',
+  'POST /api/auth/logout-all'
+];
+
+// The only routes a staff session may use before MFA is enrolled
+const MFA_ENROLLMENT_ALLOWED_ROUTES = [
+  'GET /api/auth/me',
+  'GET /api/auth/mfa',
+  'POST /api/auth/mfa/setup',
+  'POST /api/auth/mfa/verify',
+  'POST /api/auth/change-password',
+  'POST /api/auth/logout-all'
+];
+
+// Service accounts: an API key stands in for a user whose permissions are the key's scopes
+const authenticateWithApiKey = async (key, req, res, next) => {
+  try {
+    const apiKey = await authenticateApiKey(key, req.ip);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key'
+      });
+    }
+
+    req.user = {
+      id: apiKey._id,
+      name: apiKey.name,
+      email: `apikey:${apiKey.prefix}`,
+      role: null,
+      permissions: apiKey.scopes || [],
+      status: 'active',
+      isEmailVerified: true,
+      mustChangePassword: false,
+      isServiceAccount: true,
+      apiKeyId: apiKey._id
+    };
+
+    next();
+  } catch (err) {
+    console.error('API key authentication error:', err);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// Protect routes (Bearer access token, or an API key via X-API-Key / "Authorization: ApiKey")
 exports.authenticateToken = async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    return authenticateWithApiKey(apiKey, req, res, next);
+  }
+
   let token;
 
   // Check if auth header exists and starts with Bearer
@@ -27,6 +91,34 @@ exports.authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Impersonation tokens must belong to an impersonation that hasn't ended or expired
+    const impersonation = decoded.imp ? await Impersonation.findById(decoded.imp) : null;
+    if (decoded.imp && (!impersonation || !impersonation.isActive() ||
+        impersonation.target.toString() !== decoded.id ||
+        impersonation.impersonator.toString() !== decoded.act)) {
+      return res.status(401).json({
+        success: false,
+        code: 'IMPERSONATION_ENDED',
+        message: 'Impersonation has ended or expired'
+      });
+    }
+
+    // Access tokens must belong to a session that hasn't been revoked; when
+    // impersonating, that is the impersonator's own session
+    const sessionOwner = impersonation ? decoded.act : decoded.id;
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== sessionOwner) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked. Please log in again.'
+      });
+    }
+
+    // Every request made while impersonating is recorded, refused ones included
+    if (impersonation) {
+      impersonationTokens.trackRequest(req, res, impersonation);
+    }
+
     // Find user and exclude password
     const user = await User.findById(decoded.id).select('-password');
     
@@ -45,6 +137,35 @@ exports.authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Password max-age policy sets the flag automatically
+    if (!user.mustChangePassword && user.isPasswordExpired()) {
+      user.mustChangePassword = true;
+      await User.updateOne({ _id: user._id }, { mustChangePassword: true });
+    }
+
+    const routeKey = `${req.method} ${req.originalUrl.split('?')[0].replace(/\/+$/, '')}`;
+
+    // Restricted mode until the temporary or expired password is replaced
+    if (user.mustChangePassword) {
+      if (!PASSWORD_CHANGE_ALLOWED_ROUTES.includes(routeKey)) {
+        return res.status(403).json({
+          success: false,
+          code: 'PASSWORD_CHANGE_REQUIRED',
+          message: 'You must change your password before continuing'
+        });
+      }
+    }
+
+    // Restricted mode until staff enroll in MFA (password logins; the IdP covers SSO)
+    if (!impersonation && session.loginMethod !== 'sso' && mfaPolicy.isEnforced() &&
+        !MFA_ENROLLMENT_ALLOWED_ROUTES.includes(routeKey) && (await mfaPolicy.needsEnrollment(user))) {
+      return res.status(403).json({
+        success: false,
+        code: 'MFA_ENROLLMENT_REQUIRED',
+        message: 'Staff accounts must set up multi-factor authentication before continuing'
+      });
+    }
+
     // Add user to req object with all relevant fields
     req.user = {
       id: user._id,
@@ -53,9 +174,32 @@ exports.authenticateToken = async (req, res, next) => {
       role: user.role,
       department: user.department,
       permissions: user.permissions || [],
-      status: user.status || 'active'
+      status: user.status || 'active',
+      isEmailVerified: user.isEmailVerified || false,
+      mustChangePassword: user.mustChangePassword || false,
+      sessionId: session._id
     };
 
+    if (impersonation) {
+      const impersonator = await User.findById(impersonation.impersonator).select('name email role');
+      req.user.impersonationId = impersonation._id;
+      req.user.impersonator = {
+        id: impersonation.impersonator,
+        name: impersonator ? impersonator.name : undefined,
+        email: impersonator ? impersonator.email : undefined,
+        role: impersonator ? impersonator.role : undefined
+      };
+
+      if (impersonationTokens.isBlocked(req)) {
+        res.locals.impersonationBlocked = true;
+        return res.status(403).json({
+          success: false,
+          code: 'IMPERSONATION_RESTRICTED',
+          message: 'This action is not allowed while impersonating another user'
+        });
+      }
+    }
+
     next();
   } catch (err) {
     console.error('Authentication error:', err);
@@ -66,29 +210,20 @@ exports.authenticateToken = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to access this route'
-      });
-    }
-    
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: `User role ${req.user.role} is not authorized to access this route`
-      });
-    }
-    next();
-  };
+// Routes that only make sense for a person (MFA, passwords, approvals) refuse API keys
+exports.requireUserAccount = (req, res, next) => {
+  if (req.user && req.user.isServiceAccount) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route is not available to API keys'
+    });
+  }
+  next();
 };
 
-// Check for specific permissions (for employee system)
-exports.requirePermission = (permission) => {
-  return (req, res, next) => {
+// Require permission for `action` on `resource`, resolved through utils/policy
+exports.requireCan = (action, resource) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -96,54 +231,31 @@ exports.requirePermission = (permission) => {
       });
     }
 
-    // Admins have all permissions
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
-    // Check if user has the specific permission
-    if (!req.user.permissions || !req.user.permissions.includes(permission)) {
-      return res.status(403).json({
+    try {
+      if (!(await can(req.user, action, resource))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          required: `${resource}:${action}`
+        });
+      }
+      next();
+    } catch (err) {
+      console.error('Authorization error:', err);
+      return res.status(500).json({
         success: false,
-        message: 'Insufficient permissions'
+        message: 'Server error'
       });
     }
-
-    next();
   };
 };
 
-// NEW: Check for simplified permissions (for master code operations)
-exports.requireNewPermission = (permission) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    // Admins have all permissions
-    if (req.user.role === 'admin') {
-      return next();
-    }
-
-    // Check if user has the specific permission
-    if (!req.user.permissions || !req.user.permissions.includes(permission)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions for this operation'
-      });
-    }
-
-    next();
-  };
-};
+// Block unverified email addresses when EMAIL_VERIFICATION_MODE is 'restrict' or 'block'
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (verificationMode() === 'off') {
+    return next();
+  }
 
-// Middleware for employee-only routes
-exports.requireEmployee = (req, res, next) => {
-  const employeeRoles = ['admin', 'manager', 'staff', 'support'];
-  
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -151,31 +263,78 @@ exports.requireEmployee = (req, res, next) => {
     });
   }
 
-  if (!employeeRoles.includes(req.user.role)) {
+  if (!req.user.isEmailVerified) {
     return res.status(403).json({
       success: false,
-      message: 'Employee access required'
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to continue'
     });
   }
 
   next();
 };
 
-// Middleware for admin-only routes
-exports.requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
+// Step-up verification for sensitive operations: the caller must present a
+// fresh TOTP or recovery code as `mfaCode` in the body or an X-MFA-Code header.
+// With { optional: true } accounts that haven't enrolled in MFA are let through.
+exports.requireStepUp = (options = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
 
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      success: false,
-      message: 'Admin access required'
-    });
-  }
+    try {
+      // The impersonator can't answer for the target's second factor
+      if (req.user.impersonator) {
+        return res.status(403).json({
+          success: false,
+          code: 'IMPERSONATION_RESTRICTED',
+          message: 'This action is not allowed while impersonating another user'
+        });
+      }
 
-  next();
-};
\ No newline at end of file
+      const user = await User.findById(req.user.id)
+        .select('+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+
+      if (!user || !user.mfa || !user.mfa.enabled) {
+        if (options.optional) {
+          return next();
+        }
+        return res.status(403).json({
+          success: false,
+          code: 'MFA_ENROLLMENT_REQUIRED',
+          message: 'This operation requires multi-factor authentication. Please enroll an authenticator app first.'
+        });
+      }
+
+      const code = (req.body && req.body.mfaCode) || req.get('x-mfa-code');
+      if (!code) {
+        return res.status(403).json({
+          success: false,
+          code: 'MFA_REQUIRED',
+          message: 'Please provide a verification code from your authenticator app'
+        });
+      }
+
+      if (!user.consumeMfaCode(code)) {
+        return res.status(403).json({
+          success: false,
+          code: 'MFA_INVALID',
+          message: 'Invalid verification code'
+        });
+      }
+
+      await user.save({ validateModifiedOnly: true });
+      next();
+    } catch (err) {
+      console.error('Step-up verification error:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  };
+};
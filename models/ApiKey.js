@@ -0,0 +1,76 @@
+// File: models/ApiKey.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const policy = require('../utils/policy');
+
+// Service-account credential for partner integrations. The full key is shown
+// once at creation; only its sha256 hash is stored. `prefix` is the public,
+// non-secret part of the key and identifies it in lists and logs.
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a name for the key'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Permission strings from utils/policy.js, e.g. "practitioners:read"
+  scopes: [{
+    type: String,
+    validate: {
+      validator: (value) => policy.isValidPermission(value),
+      message: props => `${props.value} is not a valid permission`
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to check if the key can still be used
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
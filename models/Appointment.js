@@ -0,0 +1,108 @@
+// File: models/Appointment.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Statuses that hold the practitioner's time
+const ACTIVE_STATUSES = ['requested', 'confirmed'];
+
+const AppointmentSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Practitioner',
+    required: true
+  },
+  // One of the practitioner's sessionTypes
+  sessionType: {
+    type: String,
+    required: [true, 'Please choose a session type']
+  },
+  // One of the practitioner's locations
+  location: {
+    type: String,
+    default: null
+  },
+  start: {
+    type: Date,
+    required: [true, 'Please choose a time']
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  patient: {
+    name: {
+      type: String,
+      required: [true, 'Please add your name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    email: {
+      type: String,
+      required: [true, 'Please add your email'],
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+        'Please add a valid email'
+      ]
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot be more than 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'confirmed', 'declined', 'cancelled', 'expired'],
+    default: 'requested'
+  },
+  // A request only holds its time until then; unconfirmed requests past it
+  // become 'expired' (see utils/appointments.js expireStaleRequests)
+  holdExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Every status change and reschedule, oldest first
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['requested', 'confirmed', 'declined', 'rescheduled', 'cancelled', 'expired']
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    note: String,
+    previousStart: Date
+  }]
+}, {
+  timestamps: true
+});
+
+AppointmentSchema.index({ status: 1, start: 1 });
+AppointmentSchema.index({ practitioner: 1, start: 1, end: 1 });
+
+// Backstop against double booking: two live appointments can't start at the
+// same time. Overlaps in general are prevented by checking under the
+// practitioner's booking lock (utils/appointments.js withPractitionerLock).
+AppointmentSchema.index(
+  { practitioner: 1, start: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ACTIVE_STATUSES } } }
+);
+
+AppointmentSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+AppointmentSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Appointment', AppointmentSchema);
@@ -0,0 +1,95 @@
+// File: models/ApprovalRequest.js
+const mongoose = require('mongoose');
+
+// A destructive administrative action waiting for a second employee's sign-off.
+// The action only runs once someone other than the requester approves it.
+const ApprovalRequestSchema = new mongoose.Schema({
+  // Key into the action handlers in utils/approvals.js
+  action: {
+    type: String,
+    required: true,
+    enum: [
+      'employees.delete',
+      'employees.reset_password',
+      'employees.bulk_status',
+      'practitioners.delete'
+    ]
+  },
+  // The document acted on; bulk actions keep their ids in payload instead
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Action arguments, fixed when the request is made
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Human-readable description shown to approvers
+  summary: {
+    type: String,
+    required: true,
+    maxlength: [500, 'Summary cannot exceed 500 characters']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'expired', 'failed'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  executedAt: {
+    type: Date,
+    default: null
+  },
+  // What the action reported back, or why it failed
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ApprovalRequestSchema.index({ status: 1, createdAt: -1 });
+ApprovalRequestSchema.index({ action: 1, target: 1, status: 1 });
+
+// Mark pending requests whose window has passed as expired
+ApprovalRequestSchema.statics.expireStale = function() {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+module.exports = mongoose.model('ApprovalRequest', ApprovalRequestSchema);
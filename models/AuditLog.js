@@ -0,0 +1,119 @@
+// File: models/AuditLog.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// prevHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// One administrative change: who did what to which document, and what changed
+const AuditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    email: String,
+    name: String,
+    role: String,
+    // 'user' for people, 'api_key' for service accounts, 'system' outside a request
+    type: {
+      type: String,
+      enum: ['user', 'api_key', 'system'],
+      default: 'user'
+    },
+    // Set when a support user was acting as this user (see utils/impersonation.js)
+    impersonatedBy: {
+      id: mongoose.Schema.Types.ObjectId,
+      email: String
+    }
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  // ObjectId as a string, or another identifier such as an upload filename
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Changed paths with their old and new values; sensitive values are redacted
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Hash chain: each entry's hash covers its content and the previous entry's hash,
+  // so editing or removing any entry breaks every link after it
+  seq: {
+    type: Number
+  },
+  prevHash: {
+    type: String
+  },
+  hash: {
+    type: String
+  }
+});
+
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ 'actor.id': 1, timestamp: -1 });
+AuditLogSchema.index({ targetModel: 1, targetId: 1, timestamp: -1 });
+AuditLogSchema.index({ action: 1, timestamp: -1 });
+AuditLogSchema.index({ seq: 1 }, { unique: true, partialFilterExpression: { seq: { $exists: true } } });
+
+// Entries are append-only; refuse every query-level update or delete
+const IMMUTABLE_OPERATIONS = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+  'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'
+];
+AuditLogSchema.pre(IMMUTABLE_OPERATIONS, function() {
+  throw new Error('Audit log entries cannot be modified or deleted');
+});
+
+AuditLogSchema.pre('save', function() {
+  if (!this.isNew) {
+    throw new Error('Audit log entries cannot be modified or deleted');
+  }
+});
+
+// JSON with sorted keys and no null/undefined/empty values, so the same entry
+// always serializes identically whether it was just built or read back
+const canonicalize = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  if (value && value._bsontype) return value.toString();
+  if (Array.isArray(value)) return value.map(item => canonicalize(item) ?? null);
+  if (typeof value === 'object') {
+    const out = {};
+    Object.keys(value).sort().forEach(key => {
+      const normalized = canonicalize(value[key]);
+      if (normalized !== undefined) out[key] = normalized;
+    });
+    return Object.keys(out).length > 0 ? out : undefined;
+  }
+  return value;
+};
+
+// Hash of an entry (document or plain object) excluding its own hash
+AuditLogSchema.statics.computeHash = function(entry) {
+  const { hash, __v, ...content } = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(content))).digest('hex');
+};
+
+AuditLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,28 @@
+// File: models/BookingLock.js
+const mongoose = require('mongoose');
+
+// Short-lived per-practitioner lock held while an appointment time is checked
+// and written, so overlapping requests for one practitioner are handled one
+// at a time (see utils/appointments.js withPractitionerLock)
+const BookingLockSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Practitioner',
+    required: true,
+    unique: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  }
+});
+
+// Locks left behind by a crashed process are cleaned up eventually; an
+// expired lockedUntil already lets the next request take over
+BookingLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 3600 });
+
+module.exports = mongoose.model('BookingLock', BookingLockSchema);
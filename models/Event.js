@@ -1,5 +1,6 @@
 // File: models/Event.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -151,4 +152,6 @@ eventSchema.statics.findFeatured = function() {
   return this.find({ isFeatured: true }).sort({ date: 1 });
 };
 
+eventSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+// File: models/Impersonation.js
+const mongoose = require('mongoose');
+
+// A support session in which `impersonator` acts as `target` through a
+// short-lived token (see utils/impersonation.js)
+const ImpersonationSchema = new mongoose.Schema({
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please give a reason for impersonating this user'],
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  // The impersonator's own session; ending it ends the impersonation too
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+ImpersonationSchema.index({ impersonator: 1, createdAt: -1 });
+ImpersonationSchema.index({ target: 1, createdAt: -1 });
+
+// Method to check if the impersonation token can still be used
+ImpersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Impersonation', ImpersonationSchema);
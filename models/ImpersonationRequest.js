@@ -0,0 +1,42 @@
+// File: models/ImpersonationRequest.js
+const mongoose = require('mongoose');
+
+// One request made with an impersonation token, including refused ones
+const ImpersonationRequestSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true
+  },
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  query: mongoose.Schema.Types.Mixed,
+  statusCode: Number,
+  // Refused because the action isn't allowed while impersonating
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ImpersonationRequestSchema.index({ impersonation: 1, timestamp: 1 });
+ImpersonationRequestSchema.index({ impersonator: 1, timestamp: -1 });
+ImpersonationRequestSchema.index({ target: 1, timestamp: -1 });
+
+module.exports = mongoose.model('ImpersonationRequest', ImpersonationRequestSchema);
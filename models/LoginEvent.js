@@ -0,0 +1,73 @@
+// File: models/LoginEvent.js
+const mongoose = require('mongoose');
+
+const retentionDays = () => parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 365;
+
+// One sign-in attempt, successful or not (see utils/loginHistory.js)
+const LoginEventSchema = new mongoose.Schema({
+  // Null when the email address doesn't belong to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'sso'],
+    default: 'password'
+  },
+  mfaUsed: {
+    type: Boolean,
+    default: false
+  },
+  failureReason: {
+    type: String,
+    enum: [
+      'unknown_account',
+      'invalid_password',
+      'invalid_mfa_code',
+      'account_inactive',
+      'email_not_verified',
+      'sso_required',
+      'sso_refused',
+      'throttled',
+      null
+    ],
+    default: null
+  },
+  // Session started by a successful login
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginEventSchema.index({ user: 1, timestamp: -1 });
+LoginEventSchema.index({ email: 1, timestamp: -1 });
+
+// Purge history after LOGIN_HISTORY_RETENTION_DAYS (default 365)
+LoginEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: retentionDays() * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginEvent', LoginEventSchema);
@@ -0,0 +1,33 @@
+// File: models/LoginThrottle.js
+const mongoose = require('mongoose');
+
+// Failed-login counters keyed by "account:<email>" or "ip:<address>", and
+// rate-limit counters for other public endpoints (see utils/loginThrottle.js consume)
+const LoginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Counters disappear after the failure window passes without new failures
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
@@ -0,0 +1,28 @@
+// File: models/OidcState.js
+const mongoose = require('mongoose');
+
+// One pending SSO login between /api/auth/oidc/login and the callback
+const OidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Abandoned logins disappear on their own
+OidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', OidcStateSchema);
@@ -1,5 +1,26 @@
 // File: models/Practitioner.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const availability = require('../utils/availability');
+const { parseLocations } = require('../utils/locations');
+
+// "Dr. José O'Neil" -> "dr-jose-oneil"
+const slugify = (name) => {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+  return slug || 'practitioner';
+};
+
+// Locations saved before they were structured are plain strings; treat the
+// text as the label so they don't cast into character maps
+const fromLegacyLocations = (locations) => (Array.isArray(locations)
+  ? locations.map(location => (typeof location === 'string' ? { label: location } : location))
+  : locations);
 
 const PractitionerSchema = new mongoose.Schema({
   user: {
@@ -13,6 +34,19 @@ const PractitionerSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Name cannot be more than 100 characters']
   },
+  // Public URL identifier, derived from the name; "-2", "-3"... on collisions
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
+  // Earlier slugs, kept so old URLs can redirect after a rename
+  slugHistory: {
+    type: [String],
+    index: true
+  },
   title: {
     type: String,
     required: [true, 'Please add a professional title'],
@@ -33,9 +67,41 @@ const PractitionerSchema = new mongoose.Schema({
     required: [true, 'Please add a bio'],
     maxlength: [1000, 'Bio cannot be more than 1000 characters']
   },
+  // Where the practitioner sees patients (see utils/locations.js). `label` is
+  // what schedules and appointments refer to; `point` feeds "near me" search.
   locations: {
-    type: [String],
-    required: [true, 'Please add at least one location']
+    type: [{
+      _id: false,
+      label: {
+        type: String,
+        required: [true, 'Each location needs a label'],
+        trim: true,
+        maxlength: [100, 'Location labels cannot be more than 100 characters']
+      },
+      street: String,
+      city: String,
+      region: String,
+      postcode: String,
+      country: String,
+      // GeoJSON, so coordinates are [longitude, latitude]
+      point: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined
+        }
+      },
+      // How point was found: given explicitly, or the postcode's centroid
+      geocodedFrom: {
+        type: String,
+        enum: ['coordinates', 'postcode']
+      }
+    }],
+    required: [true, 'Please add at least one location'],
+    set: fromLegacyLocations
   },
   email: {
     type: String,
@@ -83,10 +149,84 @@ const PractitionerSchema = new mongoose.Schema({
     type: [String],
     required: [true, 'Please add at least one session type']
   },
+  // Free-text description of availability, shown as-is
   availability: {
     type: String,
     required: false
   },
+  // Structured schedule used for open slots and directory filters (see utils/availability.js)
+  schedule: {
+    timezone: {
+      type: String,
+      default: () => process.env.DEFAULT_TIMEZONE || 'UTC',
+      validate: {
+        validator: availability.isValidTimeZone,
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    acceptingNewClients: {
+      type: Boolean,
+      default: true
+    },
+    slotMinutes: {
+      type: Number,
+      default: 60,
+      min: [10, 'Slots must be at least 10 minutes'],
+      max: [480, 'Slots cannot be longer than 8 hours']
+    },
+    // Recurring hours; location is one of `locations`, or empty for all of them
+    weekly: [{
+      _id: false,
+      day: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6,
+        set: value => {
+          const day = availability.parseDay(value);
+          return day === null ? value : day;
+        }
+      },
+      start: {
+        type: String,
+        required: true,
+        match: [availability.TIME_PATTERN, 'Times must look like 09:00']
+      },
+      end: {
+        type: String,
+        required: true,
+        match: [availability.TIME_PATTERN, 'Times must look like 17:00']
+      },
+      location: String
+    }],
+    // Holidays and one-off changes; closed: false with start/end replaces that day's hours
+    exceptions: [{
+      _id: false,
+      date: {
+        type: String,
+        required: true,
+        match: [availability.DATE_PATTERN, 'Dates must look like 2025-12-25']
+      },
+      closed: {
+        type: Boolean,
+        default: true
+      },
+      start: {
+        type: String,
+        match: [availability.TIME_PATTERN, 'Times must look like 09:00']
+      },
+      end: {
+        type: String,
+        match: [availability.TIME_PATTERN, 'Times must look like 17:00']
+      },
+      location: String,
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Reason cannot be more than 200 characters']
+      }
+    }]
+  },
   education: {
     type: String,
     required: false
@@ -110,13 +250,88 @@ const PractitionerSchema = new mongoose.Schema({
   }
 });
 
-// Create slug from name
-PractitionerSchema.pre('save', function(next) {
-  this.slug = this.name
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-  next();
+PractitionerSchema.index({ status: 1, isFeatured: -1, name: 1 });
+PractitionerSchema.index({ 'schedule.weekly.day': 1 });
+PractitionerSchema.index({ 'locations.point': '2dsphere' });
+
+PractitionerSchema.statics.slugify = slugify;
+
+// First free slug for `name`. Slugs in other practitioners' history stay
+// reserved so an old URL never starts pointing at someone else.
+PractitionerSchema.statics.uniqueSlug = async function(name, excludeId) {
+  const base = slugify(name);
+  let candidate = base;
+
+  for (let suffix = 2; ; suffix++) {
+    const taken = await this.exists({
+      _id: { $ne: excludeId },
+      $or: [{ slug: candidate }, { slugHistory: candidate }]
+    });
+    if (!taken) return candidate;
+    candidate = `${base}-${suffix}`;
+  }
+};
+
+// Slug fields to set when the practitioner is (re)named, or null if the
+// current slug still fits the name
+PractitionerSchema.methods.slugChangesFor = async function(name) {
+  const base = slugify(name);
+  if (this.slug && (this.slug === base || new RegExp(`^${base}-\\d+$`).test(this.slug))) {
+    return null;
+  }
+
+  const slug = await this.constructor.uniqueSlug(name, this._id);
+  const slugHistory = (this.slugHistory || []).filter(previous => previous !== slug);
+  if (this.slug && !slugHistory.includes(this.slug)) {
+    slugHistory.push(this.slug);
+  }
+
+  return { slug, slugHistory };
+};
+
+// Setters don't run when documents are loaded, so convert legacy locations here too
+PractitionerSchema.pre('init', function(doc) {
+  doc.locations = fromLegacyLocations(doc.locations);
+});
+
+// Rewrite stored locations in the current structure: free text becomes the
+// label and known postcodes are geocoded. Works on the raw collection because
+// legacy values don't cast. `legacyOnly` limits it to practitioners that still
+// have free-text locations. Returns { updated, skipped, ungeocoded }.
+PractitionerSchema.statics.backfillLocations = async function({ legacyOnly = false } = {}) {
+  const filter = legacyOnly ? { locations: { $type: 'string' } } : {};
+  const cursor = this.collection.find(filter, { projection: { name: 1, locations: 1 } });
+
+  const updated = [];
+  const skipped = [];
+  let ungeocoded = 0;
+  for await (const practitioner of cursor) {
+    const { locations, errors } = parseLocations(practitioner.locations || []);
+    if (errors.length > 0) {
+      skipped.push({ _id: practitioner._id, name: practitioner.name, errors });
+      continue;
+    }
+
+    ungeocoded += locations.filter(location => !location.point).length;
+    if (JSON.stringify(locations) === JSON.stringify(practitioner.locations)) continue;
+
+    await this.collection.updateOne({ _id: practitioner._id }, { $set: { locations } });
+    updated.push({ _id: practitioner._id, name: practitioner.name, labels: locations.map(location => location.label) });
+  }
+
+  return { updated, skipped, ungeocoded };
+};
+
+// Keep the slug in step with the name
+PractitionerSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('name') || !this.slug) {
+    const changes = await this.slugChangesFor(this.name);
+    if (changes) {
+      this.set(changes);
+    }
+  }
 });
 
+PractitionerSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Practitioner', PractitionerSchema);
\ No newline at end of file
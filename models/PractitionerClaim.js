@@ -0,0 +1,89 @@
+// File: models/PractitionerClaim.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Claims that can still lead to a link
+const OPEN_STATUSES = ['pending_verification', 'pending_review'];
+
+// A practitioner-role user asking to take ownership of a directory profile
+// (see utils/practitionerClaims.js)
+const PractitionerClaimSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Practitioner',
+    required: true
+  },
+  claimant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Anything that helps staff decide, e.g. a registration number
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending_verification', 'pending_review', 'approved', 'rejected', 'cancelled'],
+    default: 'pending_verification'
+  },
+  // Profile email the one-time link was sent to, and when it was used
+  verificationEmail: String,
+  verificationTokenHash: {
+    type: String,
+    select: false
+  },
+  verificationExpiresAt: Date,
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Why staff need to look at this claim, e.g. another account already owns the profile
+  conflicts: [{
+    _id: false,
+    kind: {
+      type: String,
+      enum: ['already_linked', 'competing_claim']
+    },
+    detail: String
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  // Set when staff linked the profile despite an unverified email or another owner
+  overridden: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+PractitionerClaimSchema.index({ practitioner: 1, status: 1 });
+PractitionerClaimSchema.index({ claimant: 1, createdAt: -1 });
+PractitionerClaimSchema.index({ status: 1, createdAt: 1 });
+
+// One open claim per account and profile
+PractitionerClaimSchema.index(
+  { practitioner: 1, claimant: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: OPEN_STATUSES } } }
+);
+
+PractitionerClaimSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+PractitionerClaimSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('PractitionerClaim', PractitionerClaimSchema);
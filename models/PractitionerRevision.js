@@ -0,0 +1,64 @@
+// File: models/PractitionerRevision.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Profile changes proposed by a practitioner, waiting for staff review
+// (see utils/practitionerRevisions.js)
+const PractitionerRevisionSchema = new mongoose.Schema({
+  practitioner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Practitioner',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // New values by top-level field, applied as-is on approval
+  proposed: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field-level diff against the profile at submission time
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+PractitionerRevisionSchema.index({ status: 1, createdAt: 1 });
+
+// A practitioner has at most one pending revision; further edits are merged into it
+PractitionerRevisionSchema.index(
+  { practitioner: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+PractitionerRevisionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('PractitionerRevision', PractitionerRevisionSchema);
@@ -0,0 +1,56 @@
+// File: models/ReadAccessLog.js
+const mongoose = require('mongoose');
+
+// One view of a protected record: who looked, which sensitive fields they
+// were shown, and why (see utils/readAudit.js)
+const ReadAccessLogSchema = new mongoose.Schema({
+  viewer: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    email: String,
+    name: String,
+    role: String,
+    // 'user' for people, 'api_key' for service accounts
+    type: {
+      type: String,
+      enum: ['user', 'api_key'],
+      default: 'user'
+    },
+    // Set when a support user was acting as this user (see utils/impersonation.js)
+    impersonatedBy: {
+      id: mongoose.Schema.Types.ObjectId,
+      email: String
+    }
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  targetId: {
+    type: String,
+    required: true
+  },
+  // Sensitive fields present in the response
+  fields: [String],
+  // From the optional X-Access-Purpose request header
+  purpose: {
+    type: String,
+    maxlength: 500
+  },
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReadAccessLogSchema.index({ targetModel: 1, targetId: 1, timestamp: -1 });
+ReadAccessLogSchema.index({ 'viewer.id': 1, timestamp: -1 });
+ReadAccessLogSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('ReadAccessLog', ReadAccessLogSchema);
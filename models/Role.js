@@ -0,0 +1,53 @@
+// File: models/Role.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const RoleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[a-z][a-z0-9_-]{1,39}$/,
+      'Role name must start with a letter and contain only letters, numbers, dashes and underscores'
+    ]
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Permission strings from the registry in utils/policy.js, e.g. "events:update"
+  permissions: {
+    type: [String],
+    default: []
+  },
+  // Staff-side role: its holders are managed through /api/employees
+  isEmployee: {
+    type: Boolean,
+    default: false
+  },
+  // Built-in roles can't be renamed or deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RoleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Role', RoleSchema);
@@ -0,0 +1,108 @@
+// File: models/Session.js
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required']
+  },
+  // SHA-256 of the secret half of the refresh token, rotated on every refresh
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  loginMethod: {
+    type: String,
+    enum: ['password', 'sso'],
+    default: 'password'
+  },
+  mfaUsed: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB purge sessions once the refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Fields safe to show the session's owner or an administrator
+SessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    loginMethod: this.loginMethod,
+    mfaUsed: this.mfaUsed,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+// Method to check if session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to revoke a single session
+SessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason || 'revoked';
+  return this.save();
+};
+
+// Static method to find active sessions for a user
+SessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to revoke every active session of one or more users
+SessionSchema.statics.revokeAllForUser = function(userIds, reason) {
+  const ids = Array.isArray(userIds) ? userIds : [userIds];
+
+  return this.updateMany(
+    { user: { $in: ids }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason || 'revoked' }
+  );
+};
+
+SessionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Session', SessionSchema);
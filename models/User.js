@@ -1,7 +1,13 @@
 // File: models/User.js
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const Session = require('./Session');
+const totp = require('../utils/totp');
+const policy = require('../utils/policy');
+const passwordPolicy = require('../utils/passwordPolicy');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -19,15 +25,23 @@ const UserSchema = new mongoose.Schema({
       'Please add a valid email'
     ]
   },
+  // Name of a built-in or custom role (see utils/policy.js and /api/roles)
   role: {
     type: String,
-    enum: ['user', 'practitioner', 'admin', 'manager', 'staff', 'support'],
-    default: 'user'
+    default: 'user',
+    validate: {
+      validator: (value) => policy.roleExists(value),
+      message: props => `${props.value} is not a valid role`
+    }
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
-    minlength: 6,
+    // Invited employees choose their own password when accepting the invitation;
+    // accounts created through single sign-on never have one
+    required: [function() {
+      return this.status !== 'invited' && !(this.oidc && this.oidc.subject);
+    }, 'Please add a password'],
+    // Strength rules live in utils/passwordPolicy.js and are checked by the routes
     select: false
   },
   // Employee-specific fields
@@ -43,23 +57,45 @@ const UserSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended'],
+    enum: ['active', 'inactive', 'suspended', 'invited', 'pending'],
     default: 'active'
   },
+  // How the account came to exist: public signup, created by staff, or first single sign-on
+  registrationSource: {
+    type: String,
+    enum: ['self', 'invite', 'sso'],
+    default: null
+  },
+  // Staff decision on a signup that needed approval (practitioners)
+  registrationReview: {
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reason: String
+  },
+  // Extra "<resource>:<action>" grants on top of the role's permissions
   permissions: [{
     type: String,
-    enum: [
-      'manage_users',
-      'manage_events', 
-      'manage_practitioners',
-      'view_analytics',
-      'system_settings'
-    ]
+    validate: {
+      validator: (value) => policy.isValidPermission(value),
+      message: props => `${props.value} is not a valid permission`
+    }
   }],
   isEmailVerified: {
     type: Boolean,
     default: false
   },
+  // When the last verification link went out, used to throttle resends
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
   lastLogin: {
     type: Date,
     default: null
@@ -68,6 +104,15 @@ const UserSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Hashes of the most recent passwords (including the current one), for reuse checks
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   profileImage: {
     type: String,
     default: null
@@ -77,6 +122,80 @@ const UserSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  // TOTP multi-factor authentication
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by /api/auth/mfa/setup, promoted once a code is verified
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Identity provider account linked through single sign-on
+  oidc: {
+    issuer: String,
+    subject: String,
+    groups: {
+      type: [String],
+      default: undefined
+    },
+    lastLoginAt: Date
+  },
+  // Pending employee invitation; tokenId is the jti of the only valid invite link
+  invitation: {
+    tokenId: {
+      type: String,
+      select: false
+    },
+    sentAt: Date,
+    expiresAt: Date,
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedAt: Date,
+    acceptedAt: Date
+  },
+  // Recent account lockouts from failed logins (newest last, capped at 20)
+  lockoutEvents: [{
+    lockedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedUntil: Date,
+    ip: String,
+    failedAttempts: Number,
+    unlockedAt: {
+      type: Date,
+      default: null
+    },
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  }],
   // Existing fields
   resetPasswordToken: String,
   resetPasswordExpire: Date,
@@ -99,44 +218,179 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ role: 1 });
 UserSchema.index({ status: 1 });
 UserSchema.index({ department: 1 });
+UserSchema.index(
+  { 'oidc.issuer': 1, 'oidc.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+);
 UserSchema.index({ name: 'text', email: 'text', department: 'text' });
 
+// Reset verification on email change; flag sessions for revocation when the
+// password changes or the account leaves 'active'
+UserSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    // A new address has to be verified again
+    if (this.isModified('email') && !this.isModified('isEmailVerified')) {
+      this.isEmailVerified = false;
+    }
+
+    if (this.isModified('password')) {
+      this.$locals.revokeSessionsReason = 'password_changed';
+    } else if (this.isModified('status') && this.status !== 'active') {
+      this.$locals.revokeSessionsReason = 'account_inactive';
+    }
+  }
+  next();
+});
+
 // Encrypt password using bcrypt
 UserSchema.pre('save', async function(next) {
+  // Update timestamp
+  if (this.isModified() && !this.isNew) {
+    this.updatedAt = new Date();
+  }
+
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
 
+  this.passwordChangedAt = new Date();
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
-  
-  // Update timestamp
-  if (this.isModified() && !this.isNew) {
-    this.updatedAt = new Date();
+  this.$locals.newPasswordHash = this.password;
+  next();
+});
+
+// Revoke all refresh-token sessions flagged above
+UserSchema.post('save', async function(doc) {
+  const reason = doc.$locals.revokeSessionsReason;
+  if (reason) {
+    delete doc.$locals.revokeSessionsReason;
+    await Session.revokeAllForUser(doc._id, reason);
+  }
+});
+
+// Remember the new password hash; done as an update so passwordHistory never
+// has to be selected by whoever saved the user
+UserSchema.post('save', async function(doc) {
+  const hash = doc.$locals.newPasswordHash;
+  const historyCount = passwordPolicy.settings().historyCount;
+  if (hash) {
+    delete doc.$locals.newPasswordHash;
+    if (historyCount > 0) {
+      await doc.constructor.updateOne(
+        { _id: doc._id },
+        { $push: { passwordHistory: { $each: [hash], $slice: -historyCount } } }
+      );
+    }
   }
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign short-lived access JWT bound to a server-side session and return
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
     { 
       id: this._id, 
       role: this.role,
-      email: this.email 
+      email: this.email,
+      sid: sessionId
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function(enteredPassword) {
+  // Single sign-on accounts have no local password
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Method to check if user has specific permission
-UserSchema.methods.hasPermission = function(permission) {
-  return this.permissions.includes(permission) || this.role === 'admin';
+// Sign an email verification token bound to the current address
+UserSchema.methods.getEmailVerificationToken = function() {
+  return jwt.sign(
+    { id: this._id, email: this.email, purpose: 'verify_email' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h' }
+  );
+};
+
+// Issue a new invitation link, invalidating any earlier one
+UserSchema.methods.getInvitationToken = function(invitedBy) {
+  const days = parseInt(process.env.INVITE_EXPIRE_DAYS, 10) || 7;
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  this.invitation = {
+    tokenId,
+    sentAt: new Date(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    invitedBy: invitedBy || (this.invitation && this.invitation.invitedBy),
+    revokedAt: null,
+    acceptedAt: null
+  };
+
+  return jwt.sign(
+    { id: this._id, jti: tokenId, purpose: 'invite' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${days}d` }
+  );
+};
+
+// Generate a single-use password reset token; only its hash is stored
+UserSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const minutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + minutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Verify a TOTP or recovery code and mark it used. Requires the mfa.secret,
+// mfa.lastUsedStep and mfa.recoveryCodes paths to be selected; caller saves.
+UserSchema.methods.consumeMfaCode = function(code) {
+  if (!this.mfa || !this.mfa.enabled || !code) {
+    return false;
+  }
+
+  const step = totp.verifyCode(this.mfa.secret, String(code), {
+    lastUsedStep: this.mfa.lastUsedStep
+  });
+  if (step !== null) {
+    this.mfa.lastUsedStep = step;
+    return true;
+  }
+
+  const codeHash = totp.hashRecoveryCode(String(code));
+  const recoveryCodes = this.mfa.recoveryCodes || [];
+  if (recoveryCodes.includes(codeHash)) {
+    this.mfa.recoveryCodes = recoveryCodes.filter(hash => hash !== codeHash);
+    return true;
+  }
+
+  return false;
+};
+
+// Whether the password is older than PASSWORD_MAX_AGE_DAYS (unset or 0 disables the policy)
+UserSchema.methods.isPasswordExpired = function() {
+  const maxAgeDays = parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10);
+  if (!maxAgeDays || maxAgeDays <= 0) {
+    return false;
+  }
+
+  const changedAt = this.passwordChangedAt || this.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+
+  return Date.now() - changedAt.getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Method to check if user may perform an action on a resource (async, resolves roles)
+UserSchema.methods.can = function(action, resource) {
+  return policy.can(this, action, resource);
 };
 
 // Method to get role display name
@@ -149,6 +403,14 @@ UserSchema.methods.getStatusDisplay = function() {
   return this.status.charAt(0).toUpperCase() + this.status.slice(1);
 };
 
+// Static method to append a lockout event, keeping the last 20
+UserSchema.statics.recordLockout = function(userId, event) {
+  return this.updateOne(
+    { _id: userId },
+    { $push: { lockoutEvents: { $each: [{ lockedAt: new Date(), ...event }], $slice: -20 } } }
+  );
+};
+
 // Static method to find active users
 UserSchema.statics.findActive = function() {
   return this.find({ status: 'active' });
@@ -177,7 +439,9 @@ UserSchema.virtual('isAdmin').get(function() {
 
 // Virtual for checking if user is employee
 UserSchema.virtual('isEmployee').get(function() {
-  return ['admin', 'manager', 'staff', 'support'].includes(this.role);
+  return policy.isEmployeeRole(this.role);
 });
 
+UserSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
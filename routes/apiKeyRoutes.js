@@ -0,0 +1,259 @@
+// File: routes/apiKeyRoutes.js
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, requireUserAccount, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { generateApiKey, isAllowedScope, API_KEY_RESOURCES } = require('../utils/apiKeys');
+const { isValidPermission, canGrant } = require('../utils/policy');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+// Validate requested scopes; returns an error message or null
+const scopeError = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+
+  const invalid = scopes.filter(scope => !isValidPermission(scope) || !isAllowedScope(scope));
+  if (invalid.length > 0) {
+    return `Invalid scopes: ${invalid.join(', ')}. API keys can only be scoped to ${API_KEY_RESOURCES.join(', ')}`;
+  }
+
+  return null;
+};
+
+// @desc    List API keys
+// @route   GET /api/api-keys
+// @access  Private (requires api_keys:manage)
+router.get('/', requireCan('manage', 'api_keys'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(apiKey => ({
+        ...apiKey.toObject(),
+        active: apiKey.isActive()
+      }))
+    });
+  } catch (err) {
+    console.error('❌ Error fetching API keys:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching API keys'
+    });
+  }
+});
+
+// @desc    Create an API key. The key is only returned in this response.
+// @route   POST /api/api-keys
+// @access  Private (requires api_keys:manage)
+router.post('/', requireCan('manage', 'api_keys'), async (req, res) => {
+  try {
+    const { name, description, scopes, expiresInDays } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const error = scopeError(scopes);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // A key can't carry more access than the admin creating it
+    if (!(await canGrant(req.user, { permissions: scopes }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays, 10);
+      if (!days || days < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'expiresInDays must be a positive number of days'
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { prefix, key, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      description,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    console.log(`🔑 API key ${prefix} (${name}) created by ${req.user.email}`);
+
+    const data = apiKey.toObject();
+    delete data.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it will not be shown again',
+      data: { ...data, key }
+    });
+  } catch (err) {
+    console.error('❌ Error creating API key:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating API key'
+    });
+  }
+});
+
+// @desc    Update an API key's name, description or scopes
+// @route   PUT /api/api-keys/:id
+// @access  Private (requires api_keys:manage)
+router.put('/:id', requireCan('manage', 'api_keys'), async (req, res) => {
+  try {
+    const { name, description, scopes } = req.body;
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked keys cannot be changed'
+      });
+    }
+
+    if (scopes !== undefined) {
+      const error = scopeError(scopes);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      if (!(await canGrant(req.user, { permissions: scopes }))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+
+      apiKey.scopes = scopes;
+    }
+
+    if (name) apiKey.name = name;
+    if (description !== undefined) apiKey.description = description;
+
+    await apiKey.save();
+
+    console.log(`✏️ API key ${apiKey.prefix} updated by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (err) {
+    console.error('❌ Error updating API key:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating API key'
+    });
+  }
+});
+
+// @desc    Revoke an API key; it stops working immediately
+// @route   DELETE /api/api-keys/:id
+// @access  Private (requires api_keys:manage)
+router.delete('/:id', requireCan('manage', 'api_keys'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user.id },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    console.log(`🗑️ API key ${apiKey.prefix} (${apiKey.name}) revoked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey
+    });
+  } catch (err) {
+    console.error('❌ Error revoking API key:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Active API key not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking API key'
+    });
+  }
+});
+
+module.exports = router;
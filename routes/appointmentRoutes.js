@@ -0,0 +1,300 @@
+// File: routes/appointmentRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Practitioner = require('../models/Practitioner');
+const { authenticateToken, requireCan } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const appointments = require('../utils/appointments');
+const { labels } = require('../utils/locations');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(auditMutations);
+
+// Lifecycle: which statuses each action can start from, and where it leads
+const TRANSITIONS = {
+  confirm: { from: ['requested'], to: 'confirmed', history: 'confirmed', email: 'appointmentConfirmed' },
+  decline: { from: ['requested'], to: 'declined', history: 'declined', email: 'appointmentDeclined' },
+  cancel: { from: ['requested', 'confirmed'], to: 'cancelled', history: 'cancelled', email: 'appointmentCancelled' }
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Appointment not found'
+});
+
+// @desc    Appointment queue, soonest first (defaults to pending requests)
+// @route   GET /api/appointments?status=&practitioner=&from=&to=&page=&limit=
+// @access  Private (requires appointments:read)
+router.get('/', requireCan('read', 'appointments'), async (req, res) => {
+  try {
+    const { status = 'requested', practitioner, from, to, page = 1, limit = 50 } = req.query;
+
+    // Requests past their hold aren't waiting for anyone any more
+    await appointments.expireStaleRequests();
+    const filter = {};
+
+    if (status !== 'all') filter.status = String(status);
+    if (practitioner) {
+      if (!mongoose.isValidObjectId(practitioner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid practitioner id'
+        });
+      }
+      filter.practitioner = practitioner;
+    }
+
+    if (from || to) {
+      filter.start = {};
+      if (from) filter.start.$gte = new Date(from);
+      if (to) filter.start.$lte = new Date(to);
+
+      if (Object.values(filter.start).some(date => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const results = await Appointment.find(filter)
+      .populate('practitioner', 'name slug email phone')
+      .sort({ start: 1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await Appointment.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching appointments:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appointments'
+    });
+  }
+});
+
+// @desc    Get one appointment with its history
+// @route   GET /api/appointments/:id
+// @access  Private (requires appointments:read)
+router.get('/:id', requireCan('read', 'appointments'), async (req, res) => {
+  try {
+    const appointment = mongoose.isValidObjectId(req.params.id)
+      ? await Appointment.findById(req.params.id)
+        .populate('practitioner', 'name slug email phone locations sessionTypes')
+        .populate('history.by', 'name email')
+      : null;
+
+    if (!appointment) {
+      return notFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (err) {
+    console.error('❌ Error fetching appointment:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching appointment'
+    });
+  }
+});
+
+// @desc    Confirm, decline or cancel an appointment; the patient is emailed
+// @route   POST /api/appointments/:id/confirm|decline|cancel  { note }
+// @access  Private (requires appointments:manage)
+Object.entries(TRANSITIONS).forEach(([action, transition]) => {
+  router.post(`/:id/${action}`, requireCan('manage', 'appointments'), async (req, res) => {
+    try {
+      const note = req.body.note ? String(req.body.note).trim() : undefined;
+
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return notFound(res);
+      }
+
+      // A request past its hold has given its time away and can't be confirmed
+      await appointments.expireStaleRequests();
+
+      // Conditional update so two staff members can't act on the same request at once
+      const appointment = await Appointment.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: transition.from } },
+        {
+          status: transition.to,
+          $push: { history: { action: transition.history, by: req.user.id, note } }
+        },
+        { new: true }
+      );
+
+      if (!appointment) {
+        const existing = await Appointment.findById(req.params.id).select('status');
+        if (!existing) {
+          return notFound(res);
+        }
+        return res.status(409).json({
+          success: false,
+          message: `Cannot ${action} an appointment that is ${existing.status}`
+        });
+      }
+
+      const practitioner = await Practitioner.findById(appointment.practitioner).select('name email schedule');
+      console.log(`📅 Appointment ${appointment._id} ${transition.to} by ${req.user.email}`);
+
+      if (practitioner) {
+        await appointments.notify(transition.email, appointment, practitioner, { note });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Appointment ${transition.to}`,
+        data: appointment
+      });
+    } catch (err) {
+      console.error(`❌ Error trying to ${action} appointment:`, err);
+      res.status(500).json({
+        success: false,
+        message: `Server error while trying to ${action} appointment`
+      });
+    }
+  });
+});
+
+// @desc    Move an appointment to a new time (and optionally location); the patient is emailed
+// @route   POST /api/appointments/:id/reschedule  { start, location, note }
+// @access  Private (requires appointments:manage)
+router.post('/:id/reschedule', requireCan('manage', 'appointments'), async (req, res) => {
+  try {
+    const { start, location } = req.body;
+    const note = req.body.note ? String(req.body.note).trim() : undefined;
+
+    // A request past its hold has given its time away and can't be moved
+    await appointments.expireStaleRequests();
+
+    const appointment = mongoose.isValidObjectId(req.params.id)
+      ? await Appointment.findById(req.params.id)
+      : null;
+
+    if (!appointment) {
+      return notFound(res);
+    }
+
+    if (!Appointment.ACTIVE_STATUSES.includes(appointment.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule an appointment that is ${appointment.status}`
+      });
+    }
+
+    const startsAt = new Date(start);
+    if (!start || isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'start must be a valid time in the future'
+      });
+    }
+
+    const practitioner = await Practitioner.findById(appointment.practitioner).select('name email locations schedule');
+    if (!practitioner) {
+      return res.status(409).json({
+        success: false,
+        message: 'The practitioner for this appointment no longer exists'
+      });
+    }
+
+    const locations = labels(practitioner.locations);
+    if (location && !locations.includes(location)) {
+      return res.status(400).json({
+        success: false,
+        message: `Location must be one of: ${locations.join(', ')}`
+      });
+    }
+
+    // Staff may book outside the published hours, but never over another
+    // appointment; checked and saved under the practitioner's booking lock
+    const duration = appointment.end - appointment.start;
+    const endsAt = new Date(startsAt.getTime() + duration);
+    const previousStart = appointment.start;
+    const { clash, rescheduled } = await appointments.withPractitionerLock(practitioner._id, async () => {
+      if (await appointments.isBooked(practitioner._id, startsAt, endsAt, appointment._id)) {
+        return { clash: true };
+      }
+
+      // Conditional update: cancels and declines don't take the booking lock
+      const changes = { start: startsAt, end: endsAt };
+      if (location) changes.location = location;
+      return {
+        rescheduled: await Appointment.findOneAndUpdate(
+          { _id: appointment._id, status: { $in: Appointment.ACTIVE_STATUSES } },
+          {
+            $set: changes,
+            $push: { history: { action: 'rescheduled', by: req.user.id, note, previousStart } }
+          },
+          { new: true }
+        )
+      };
+    });
+
+    if (clash) {
+      return res.status(409).json({
+        success: false,
+        message: 'The practitioner already has an appointment at that time'
+      });
+    }
+
+    if (!rescheduled) {
+      const existing = await Appointment.findById(appointment._id).select('status');
+      if (!existing) {
+        return notFound(res);
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Cannot reschedule an appointment that is ${existing.status}`
+      });
+    }
+
+    console.log(`📅 Appointment ${rescheduled._id} rescheduled to ${startsAt.toISOString()} by ${req.user.email}`);
+
+    await appointments.notify('appointmentRescheduled', rescheduled, practitioner, { note, previousStart });
+
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled',
+      data: rescheduled
+    });
+  } catch (err) {
+    console.error('❌ Error rescheduling appointment:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'The practitioner already has an appointment at that time'
+      });
+    }
+
+    if (err.code === 'BOOKING_BUSY') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another booking for this practitioner is in progress. Please try again.'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rescheduling appointment'
+    });
+  }
+});
+
+module.exports = router;
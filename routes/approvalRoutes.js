@@ -0,0 +1,306 @@
+// File: routes/approvalRoutes.js
+const express = require('express');
+const router = express.Router();
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { authenticateToken, requireUserAccount, requireStepUp, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { ACTIONS, canDecide, execute } = require('../utils/approvals');
+const { can } = require('../utils/policy');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+// Actions the caller could approve
+const decidableActions = async (user) => {
+  const actions = [];
+  for (const [action, handler] of Object.entries(ACTIONS)) {
+    if (await can(user, ...handler.permission)) actions.push(action);
+  }
+  return actions;
+};
+
+// Load a request the caller may see: their own, or one they could decide
+const findVisibleRequest = async (id, user) => {
+  await ApprovalRequest.expireStale();
+
+  const request = await ApprovalRequest.findById(id)
+    .populate('requestedBy', 'name email')
+    .populate('decidedBy', 'name email');
+
+  if (!request) return null;
+  if (request.requestedBy && request.requestedBy._id.toString() === user.id.toString()) return request;
+  return (await canDecide(user, request)) ? request : null;
+};
+
+// Shared checks before approving or rejecting; returns an error response body or null
+const decisionError = (request, user) => {
+  if (request.status !== 'pending') {
+    return { status: 400, message: `This request is already ${request.status}` };
+  }
+  if (request.requestedBy._id.toString() === user.id.toString()) {
+    return { status: 403, message: 'A different employee must decide on your own request' };
+  }
+  return null;
+};
+
+// @desc    List approval requests (pending by default)
+// @route   GET /api/approvals?status=pending|approved|rejected|cancelled|expired|failed|all
+// @access  Private (own requests, plus those the caller holds the permission for)
+router.get('/', async (req, res) => {
+  try {
+    await ApprovalRequest.expireStale();
+
+    const { status = 'pending', page = 1, limit = 50 } = req.query;
+    const actions = await decidableActions(req.user);
+
+    const filter = {
+      $or: [
+        { requestedBy: req.user.id },
+        { action: { $in: actions } }
+      ]
+    };
+    if (status !== 'all') filter.status = String(status);
+
+    const requests = await ApprovalRequest.find(filter)
+      .populate('requestedBy', 'name email')
+      .populate('decidedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const totalCount = await ApprovalRequest.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: requests,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / parseInt(limit))
+    });
+  } catch (err) {
+    console.error('❌ Error fetching approval requests:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching approval requests'
+    });
+  }
+});
+
+// @desc    Get a single approval request
+// @route   GET /api/approvals/:id
+// @access  Private (requester, or holders of the action's permission)
+router.get('/:id', async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.id, req.user);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: request
+    });
+  } catch (err) {
+    console.error('❌ Error fetching approval request:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching approval request'
+    });
+  }
+});
+
+// @desc    Approve a request and run the action
+// @route   POST /api/approvals/:id/approve
+// @access  Private (holders of the action's permission other than the requester, MFA step-up)
+router.post('/:id/approve', requireStepUp(), async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.id, req.user);
+
+    if (!request || !(await canDecide(req.user, request))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    const error = decisionError(request, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Claim the request atomically so two approvers can't both run it
+    const claimed = await ApprovalRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          status: 'approved',
+          decidedBy: req.user.id,
+          decidedAt: new Date(),
+          decisionNote: req.body.note
+        }
+      },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was decided by someone else or has expired'
+      });
+    }
+
+    const result = await execute(claimed, req.user);
+
+    res.status(result.status === 'failed' ? 422 : 200).json({
+      success: result.status !== 'failed',
+      message: result.status === 'failed'
+        ? `Approved, but the action could not be completed: ${result.error}`
+        : 'Request approved and action completed',
+      data: result
+    });
+  } catch (err) {
+    console.error('❌ Error approving request:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving request'
+    });
+  }
+});
+
+// @desc    Reject a request
+// @route   POST /api/approvals/:id/reject
+// @access  Private (holders of the action's permission other than the requester)
+router.post('/:id/reject', async (req, res) => {
+  try {
+    const request = await findVisibleRequest(req.params.id, req.user);
+
+    if (!request || !(await canDecide(req.user, request))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    const error = decisionError(request, req.user);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const rejected = await ApprovalRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: 'rejected',
+          decidedBy: req.user.id,
+          decidedAt: new Date(),
+          decisionNote: req.body.note
+        }
+      },
+      { new: true }
+    );
+
+    if (!rejected) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was decided by someone else or has expired'
+      });
+    }
+
+    console.log(`🚫 Approval request ${rejected._id} (${rejected.action}) rejected by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Request rejected',
+      data: rejected
+    });
+  } catch (err) {
+    console.error('❌ Error rejecting request:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting request'
+    });
+  }
+});
+
+// @desc    Withdraw your own pending request
+// @route   POST /api/approvals/:id/cancel
+// @access  Private (requester only)
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const cancelled = await ApprovalRequest.findOneAndUpdate(
+      { _id: req.params.id, requestedBy: req.user.id, status: 'pending' },
+      { $set: { status: 'cancelled', decidedBy: req.user.id, decidedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending request of yours with that id'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Request cancelled',
+      data: cancelled
+    });
+  } catch (err) {
+    console.error('❌ Error cancelling request:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending request of yours with that id'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling request'
+    });
+  }
+});
+
+module.exports = router;
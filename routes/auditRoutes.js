@@ -0,0 +1,263 @@
+// File: routes/auditRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const ReadAccessLog = require('../models/ReadAccessLog');
+const audit = require('../utils/audit');
+const auditSigning = require('../utils/auditSigning');
+const { authenticateToken, requireUserAccount, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+
+// { $gte, $lte } timestamp condition from ?from=&to=, or null if either is not a date
+const timestampRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    return null;
+  }
+  return range;
+};
+
+// @desc    Query the audit log
+// @route   GET /api/audit?actor=&targetModel=&targetId=&action=&from=&to=&page=&limit=
+// @access  Private (requires audit:read)
+router.get('/', requireCan('read', 'audit'), async (req, res) => {
+  try {
+    const { actor, targetModel, targetId, action, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    // Actor by user id or email address
+    if (actor) {
+      filter[mongoose.isValidObjectId(actor) ? 'actor.id' : 'actor.email'] = String(actor);
+    }
+    if (targetModel) filter.targetModel = String(targetModel);
+    if (targetId) filter.targetId = String(targetId);
+    if (action) filter.action = String(action);
+
+    if (from || to) {
+      filter.timestamp = timestampRange(from, to);
+
+      if (!filter.timestamp) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const entries = await AuditLog.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching audit log:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit log'
+    });
+  }
+});
+
+// @desc    Who viewed a protected record: per-viewer summary plus the individual reads
+// @route   GET /api/audit/access?targetModel=&targetId=&viewer=&days=90&page=&limit=
+// @access  Private (requires audit:read)
+router.get('/access', requireCan('read', 'audit'), async (req, res) => {
+  try {
+    const { targetModel, targetId, viewer, days = 90, page = 1, limit = 50 } = req.query;
+
+    if (!targetId && !viewer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide targetId (with targetModel) or viewer'
+      });
+    }
+
+    const periodDays = parseInt(days, 10);
+    if (!periodDays || periodDays < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a positive number'
+      });
+    }
+
+    const since = new Date(Date.now() - periodDays * 24 * 60 * 60 * 1000);
+    const filter = { timestamp: { $gte: since } };
+    if (targetModel) filter.targetModel = String(targetModel);
+    if (targetId) filter.targetId = String(targetId);
+    // Viewer by user id or email address; aggregate() doesn't cast, so convert ids here
+    if (viewer && mongoose.isValidObjectId(viewer)) {
+      filter['viewer.id'] = new mongoose.Types.ObjectId(String(viewer));
+    } else if (viewer) {
+      filter['viewer.email'] = String(viewer);
+    }
+
+    const viewers = await ReadAccessLog.aggregate([
+      { $match: filter },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: { id: '$viewer.id', email: '$viewer.email' },
+          name: { $first: '$viewer.name' },
+          role: { $first: '$viewer.role' },
+          type: { $first: '$viewer.type' },
+          accessCount: { $sum: 1 },
+          firstAccess: { $last: '$timestamp' },
+          lastAccess: { $first: '$timestamp' },
+          fields: { $addToSet: '$fields' },
+          purposes: { $addToSet: '$purpose' }
+        }
+      },
+      { $sort: { lastAccess: -1 } }
+    ]);
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const entries = await ReadAccessLog.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await ReadAccessLog.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      since,
+      viewers: viewers.map(({ _id, fields, purposes, ...rest }) => ({
+        id: _id.id,
+        email: _id.email,
+        ...rest,
+        fields: [...new Set(fields.flat())].sort(),
+        purposes: purposes.filter(Boolean)
+      })),
+      data: entries,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching read access report:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching read access report'
+    });
+  }
+});
+
+// @desc    Verify the audit log hash chain and report the first broken link
+// @route   GET /api/audit/verify
+// @access  Private (requires audit:read)
+router.get('/verify', requireCan('read', 'audit'), async (req, res) => {
+  try {
+    const result = await audit.verifyChain();
+
+    if (!result.valid) {
+      console.warn(`⚠️ Audit log chain broken at entry ${result.brokenAt.seq}: ${result.brokenAt.reason}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (err) {
+    console.error('❌ Error verifying audit log:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying audit log'
+    });
+  }
+});
+
+// @desc    Public key for checking export signatures
+// @route   GET /api/audit/export/public-key
+// @access  Private (requires audit:export)
+router.get('/export/public-key', requireCan('export', 'audit'), (req, res) => {
+  if (!auditSigning.isConfigured()) {
+    return res.status(503).json({
+      success: false,
+      message: 'Audit export signing is not configured'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      algorithm: auditSigning.ALGORITHM,
+      fingerprint: auditSigning.fingerprint(),
+      publicKey: auditSigning.publicKeyPem()
+    }
+  });
+});
+
+// @desc    Export chained entries in a date range as JSON Lines. The Ed25519
+//          signature of the body is returned in X-Audit-Signature; check it
+//          with `npm run verify-audit-export`.
+// @route   GET /api/audit/export?from=&to=
+// @access  Private (requires audit:export)
+router.get('/export', requireCan('export', 'audit'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!auditSigning.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Audit export signing is not configured'
+      });
+    }
+
+    const filter = { seq: { $exists: true } };
+    if (from || to) {
+      filter.timestamp = timestampRange(from, to);
+
+      if (!filter.timestamp) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates'
+        });
+      }
+    }
+
+    const entries = await AuditLog.find(filter).sort({ seq: 1 }).lean();
+    const body = entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    const signature = auditSigning.sign(body);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    console.log(`📤 Audit log export (${entries.length} entries) by ${req.user.email}`);
+
+    res.set({
+      'Content-Type': 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="audit-log-${stamp}.jsonl"`,
+      'X-Audit-Signature': signature,
+      'X-Audit-Signature-Algorithm': auditSigning.ALGORITHM,
+      'X-Audit-Key-Fingerprint': auditSigning.fingerprint(),
+      'X-Audit-Entry-Count': String(entries.length),
+      'X-Audit-First-Seq': entries.length ? String(entries[0].seq) : '',
+      'X-Audit-Last-Seq': entries.length ? String(entries[entries.length - 1].seq) : ''
+    });
+    res.status(200).send(body);
+  } catch (err) {
+    console.error('❌ Error exporting audit log:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit log'
+    });
+  }
+});
+
+module.exports = router;
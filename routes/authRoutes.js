@@ -1,8 +1,71 @@
 // File: routes/authRoutes.js
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const Session = require('../models/Session');
+const { authenticateToken, requireUserAccount, requireStepUp } = require('../middleware/authMiddleware');
+const { createSession, rotateSession, revokeByRefreshToken } = require('../utils/sessionTokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { verificationMode, resendWaitSeconds, sendVerificationEmail } = require('../utils/emailVerification');
+const loginThrottle = require('../utils/loginThrottle');
+const { effectivePermissions, employeeRoleNames } = require('../utils/policy');
+const oidc = require('../utils/oidc');
+const passwordPolicy = require('../utils/passwordPolicy');
+const { recordLogin, historyForUser } = require('../utils/loginHistory');
+const mfaPolicy = require('../utils/mfaPolicy');
+
+// User fields returned after a completed login
+const loginUserPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  department: user.department,
+  permissions: user.permissions || [],
+  status: user.status || 'active',
+  isEmailVerified: user.isEmailVerified || false,
+  mfaEnabled: Boolean(user.mfa && user.mfa.enabled),
+  mustChangePassword: user.mustChangePassword || false,
+  lastLogin: user.lastLogin
+});
+
+// 429 for attempts made too soon after failures or while locked out
+const throttledResponse = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: throttle.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    message: throttle.locked
+      ? 'Too many failed login attempts. Please try again later or contact an administrator.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfterSeconds: throttle.retryAfterSeconds
+  });
+};
+
+// Count a failed login and log a lockout event on the account when it trips
+const recordFailedLogin = async (email, user, req) => {
+  const { accountLockedUntil, failures } = await loginThrottle.recordFailure(email, req.ip);
+
+  if (accountLockedUntil && user) {
+    await User.recordLockout(user._id, {
+      lockedUntil: accountLockedUntil,
+      ip: req.ip,
+      failedAttempts: failures
+    });
+  }
+};
+
+// Roles anyone can sign up for; elevated roles only come through the employee API
+const publicRegistrationRoles = () => {
+  return (process.env.PUBLIC_REGISTRATION_ROLES || 'user,practitioner')
+    .split(',')
+    .map(role => role.trim())
+    .filter(role => ['user', 'practitioner'].includes(role));
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -28,20 +91,58 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Only public roles can be self-assigned
+    const requestedRole = role || 'user'; // Default to 'user' if role is not provided
+    if (!publicRegistrationRoles().includes(requestedRole)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Registration is open to: ${publicRegistrationRoles().join(', ')}`
+      });
+    }
+
+    const passwordErrors = await passwordPolicy.validatePassword(password, { name, email });
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicy.policyErrorResponse(passwordErrors));
+    }
+
+    // Practitioner signups wait in the approval queue before they can log in
+    const needsApproval = requestedRole === 'practitioner';
+
     // Create user
     const user = await User.create({
       name,
       email,
       password,
-      role: role || 'user' // Default to 'user' if role is not provided
+      role: requestedRole,
+      status: needsApproval ? 'pending' : 'active',
+      registrationSource: 'self'
     });
 
-    // Generate JWT token
-    const token = user.getSignedJwtToken();
+    sendVerificationEmail(user)
+      .catch(mailErr => console.error('❌ Failed to send verification email:', mailErr.message));
+
+    if (needsApproval) {
+      console.log(`📝 Practitioner signup awaiting approval: ${user.email}`);
+      return res.status(201).json({
+        success: true,
+        pendingApproval: true,
+        message: 'Registration received. Your practitioner account will be available once our team approves it.',
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    }
+
+    // Start a session and generate the token pair
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -73,52 +174,615 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    // Refuse attempts from locked or throttled accounts and IPs
+    const throttle = await loginThrottle.check(email, req.ip);
+    if (!throttle.allowed) {
+      await recordLogin(req, { email, success: false, failureReason: 'throttled' });
+      return throttledResponse(res, throttle);
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailedLogin(email, null, req);
+      await recordLogin(req, { email, success: false, failureReason: 'unknown_account' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if password matches
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      await recordFailedLogin(email, user, req);
+      await recordLogin(req, { user, success: false, failureReason: 'invalid_password' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check if user is active (for employee accounts)
+    // Check if user is active (for employee accounts). Only after the password,
+    // so a pending signup or disabled account can't be discovered by email alone.
     if (user.status && user.status !== 'active') {
+      await recordLogin(req, { user, success: false, failureReason: 'account_inactive' });
+      return res.status(401).json({
+        success: false,
+        message: user.status === 'pending'
+          ? 'Your registration is awaiting approval.'
+          : 'Account is not active. Please contact administrator.'
+      });
+    }
+
+    // Staff may be required to sign in through the identity provider. Checked
+    // after the password so the response can't reveal which emails are staff.
+    if (oidc.isEnabled() && oidc.settings().disablePasswordLogin &&
+        (await employeeRoleNames()).includes(user.role)) {
+      await recordLogin(req, { user, success: false, failureReason: 'sso_required' });
+      return res.status(403).json({
+        success: false,
+        code: 'SSO_REQUIRED',
+        message: 'Staff accounts must sign in with single sign-on',
+        loginUrl: '/api/auth/oidc/login'
+      });
+    }
+
+    // Optionally refuse login until the email address is verified
+    if (verificationMode() === 'block' && !user.isEmailVerified) {
+      await recordLogin(req, { user, success: false, failureReason: 'email_not_verified' });
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    // Accounts with MFA enabled get a short-lived challenge token instead of a session;
+    // the failure counter stays until the second factor succeeds too
+    if (user.mfa && user.mfa.enabled) {
+      const mfaToken = jwt.sign(
+        { id: user._id, purpose: 'mfa_challenge' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+
+      return res.status(200).json({
+        success: true,
+        mfaRequired: true,
+        mfaToken,
+        message: 'Enter the code from your authenticator app to finish signing in'
+      });
+    }
+
+    await loginThrottle.recordSuccess(email);
+
+    // Update last login timestamp and apply the password max-age policy
+    user.lastLogin = new Date();
+    if (user.isPasswordExpired()) {
+      user.mustChangePassword = true;
+    }
+    await user.save();
+
+    // Start a session and generate the token pair
+    const { session, token, refreshToken } = await createSession(user, req);
+    await recordLogin(req, { user, success: true, session });
+
+    // Staff without MFA get a session that can only enroll (once enforced)
+    const mfaEnrollment = await mfaPolicy.enrollmentStatus(user);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: loginUserPayload(user),
+      mfaEnrollment: mfaEnrollment || undefined
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/mfa
+// @access  Public (requires the mfaToken returned by /login)
+router.post('/login/mfa', async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
+
+    if (!mfaToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the MFA token and a verification code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== 'mfa_challenge') {
+      return res.status(401).json({
+        success: false,
+        message: 'MFA challenge has expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+mfa.secret +mfa.lastUsedStep +mfa.recoveryCodes');
+    // SSO logins with local MFA finish here too
+    const method = decoded.method === 'sso' ? 'sso' : 'password';
+
+    if (!user || (user.status && user.status !== 'active')) {
+      if (user) {
+        await recordLogin(req, { user, success: false, method, failureReason: 'account_inactive' });
+      }
       return res.status(401).json({
         success: false,
         message: 'Account is not active. Please contact administrator.'
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
-    if (!isMatch) {
+    const throttle = await loginThrottle.check(user.email, req.ip);
+    if (!throttle.allowed) {
+      await recordLogin(req, { user, success: false, method, failureReason: 'throttled' });
+      return throttledResponse(res, throttle);
+    }
+
+    if (!user.consumeMfaCode(code)) {
+      await recordFailedLogin(user.email, user, req);
+      await recordLogin(req, { user, success: false, method, mfaUsed: true, failureReason: 'invalid_mfa_code' });
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Invalid verification code'
       });
     }
 
-    // Update last login timestamp
+    await loginThrottle.recordSuccess(user.email);
+
+    // Update last login timestamp and apply the password max-age policy
     user.lastLogin = new Date();
-    await user.save();
+    if (user.isPasswordExpired()) {
+      user.mustChangePassword = true;
+    }
+    await user.save({ validateModifiedOnly: true });
 
-    // Generate JWT token
-    const token = user.getSignedJwtToken();
+    // Start a session and generate the token pair
+    const { session, token, refreshToken } = await createSession(user, req, { method, mfaUsed: true });
+    await recordLogin(req, { user, success: true, method, mfaUsed: true, session });
 
     res.status(200).json({
       success: true,
       token,
-      user: {
-        id: user._id,
+      refreshToken,
+      user: loginUserPayload(user)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out the session a refresh token belongs to
+// @route   POST /api/auth/logout
+// @access  Public (requires a valid refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const revoked = await revokeByRefreshToken(refreshToken, 'logout');
+    if (!revoked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Log out of all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', authenticateToken, requireUserAccount, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedCount: result.modifiedCount
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', authenticateToken, requireUserAccount, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user.id).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => session.toSummary(req.user.sessionId))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', authenticateToken, requireUserAccount, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found'
+      });
+    }
+
+    await session.revoke('user_revoked');
+
+    res.status(200).json({
+      success: true,
+      message: session._id.equals(req.user.sessionId)
+        ? 'Session revoked. You have been logged out.'
+        : 'Session revoked'
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    The current user's sign-in attempts, newest first
+// @route   GET /api/auth/login-history?page=&limit=
+// @access  Private
+router.get('/login-history', authenticateToken, requireUserAccount, async (req, res) => {
+  try {
+    const history = await historyForUser(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      ...history
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (!user || (user.status && user.status !== 'active')) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateModifiedOnly: true });
+
+    const message = emailTemplates.passwordReset({
+      name: user.name,
+      resetUrl: appUrl(`/reset-password/${resetToken}`),
+      expiresInMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30
+    });
+
+    // Don't make the response time depend on mail delivery
+    sendMail({ to: user.email, ...message }).catch(async (mailErr) => {
+      console.error('❌ Failed to send password reset email:', mailErr.message);
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } }
+      );
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Set a new password using a reset token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public (requires a valid reset token)
+router.put('/reset-password/:token', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a new password'
+      });
+    }
+
+    const resetPasswordToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: new Date() }
+    }).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset link'
+      });
+    }
+
+    const passwordErrors = await passwordPolicy.validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicy.policyErrorResponse(passwordErrors));
+    }
+
+    // Saving with a new password revokes every existing session
+    user.password = password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.mustChangePassword = false;
+    await user.save();
+
+    sendMail({ to: user.email, ...emailTemplates.passwordChanged({ name: user.name }) })
+      .catch(mailErr => console.error('❌ Failed to send password changed email:', mailErr.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Verify email address from a signed link
+// @route   GET /api/auth/verify-email/:token
+// @access  Public (requires a valid verification token)
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+    } catch (err) {
+      decoded = null;
+    }
+
+    if (!decoded || decoded.purpose !== 'verify_email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    // The link is only good for the address it was sent to
+    const user = await User.findById(decoded.id);
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateModifiedOnly: true });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const genericResponse = {
+      success: true,
+      message: 'If that address belongs to an unverified account, a new verification link has been sent.'
+    };
+
+    const user = await User.findOne({ email: String(email).trim() });
+    if (!user || user.isEmailVerified || (user.status && user.status !== 'active')) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Throttled resends are dropped silently so the response doesn't reveal the account
+    if (resendWaitSeconds(user) > 0) {
+      return res.status(200).json(genericResponse);
+    }
+
+    sendVerificationEmail(user)
+      .catch(mailErr => console.error('❌ Failed to send verification email:', mailErr.message));
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Resolve an invitation link to the invited user, or null when it can't be used
+const findInvitedUser = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+  if (decoded.purpose !== 'invite') return null;
+
+  const user = await User.findById(decoded.id).select('+invitation.tokenId');
+  if (
+    !user ||
+    user.status !== 'invited' ||
+    !user.invitation ||
+    user.invitation.tokenId !== decoded.jti ||
+    !user.invitation.expiresAt ||
+    user.invitation.expiresAt <= new Date()
+  ) {
+    return null;
+  }
+  return user;
+};
+
+// @desc    Look up an invitation so the frontend can greet the invitee
+// @route   GET /api/auth/accept-invite/:token
+// @access  Public (requires a valid invitation token)
+router.get('/accept-invite/:token', async (req, res) => {
+  try {
+    const user = await findInvitedUser(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation link'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
         name: user.name,
         email: user.email,
         role: user.role,
         department: user.department,
-        permissions: user.permissions || [],
-        status: user.status || 'active',
-        isEmailVerified: user.isEmailVerified || false,
-        lastLogin: user.lastLogin
+        expiresAt: user.invitation.expiresAt
       }
     });
   } catch (err) {
@@ -130,12 +794,93 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @desc    Accept an invitation by choosing a password
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public (requires a valid invitation token)
+router.post('/accept-invite/:token', async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password'
+      });
+    }
+
+    const user = await findInvitedUser(req.params.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation link'
+      });
+    }
+
+    const passwordErrors = await passwordPolicy.validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicy.policyErrorResponse(passwordErrors));
+    }
+
+    // The link reached the invitee's inbox, so the address is verified too
+    user.password = password;
+    user.status = 'active';
+    user.isEmailVerified = true;
+    user.invitation.tokenId = undefined;
+    user.invitation.acceptedAt = new Date();
+    user.lastLogin = new Date();
+    await user.save();
+
+    console.log(`✅ Invitation accepted by ${user.email}`);
+
+    // Start a session and generate the token pair
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted. Welcome aboard!',
+      token,
+      refreshToken,
+      user: loginUserPayload(user)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Password rules, for showing next to password fields
+// @route   GET /api/auth/password-policy
+// @access  Public
+router.get('/password-policy', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: passwordPolicy.describePolicy()
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
 router.get('/me', authenticateToken, async (req, res) => {
   try {
+    // Lets an integration check which key it is using and what it can do
+    if (req.user.isServiceAccount) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          id: req.user.id,
+          name: req.user.name,
+          isServiceAccount: true,
+          effectivePermissions: [...req.user.permissions].sort()
+        }
+      });
+    }
+
     const user = await User.findById(req.user.id);
+    const granted = await effectivePermissions(user);
     
     res.status(200).json({
       success: true,
@@ -146,10 +891,18 @@ router.get('/me', authenticateToken, async (req, res) => {
         role: user.role,
         department: user.department,
         permissions: user.permissions || [],
+        effectivePermissions: [...granted].sort(),
         status: user.status || 'active',
         isEmailVerified: user.isEmailVerified || false,
+        mustChangePassword: user.mustChangePassword || false,
+        // Present while a staff account still has to enroll in MFA
+        mfaEnrollment: (await mfaPolicy.enrollmentStatus(user)) || undefined,
         lastLogin: user.lastLogin,
-        createdAt: user.createdAt
+        createdAt: user.createdAt,
+        // Present while a support user is acting as this user
+        impersonatedBy: req.user.impersonator
+          ? { ...req.user.impersonator, impersonationId: req.user.impersonationId }
+          : undefined
       }
     });
   } catch (err) {
@@ -161,31 +914,23 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// @desc    Change user password with security verification
+// @desc    Change user password (MFA-enrolled accounts must also send mfaCode)
 // @route   POST /api/auth/change-password
 // @access  Private
-router.post('/change-password', authenticateToken, async (req, res) => {
+router.post('/change-password', authenticateToken, requireUserAccount, requireStepUp({ optional: true }), async (req, res) => {
   try {
-    const { currentPassword, newPassword, securityCode } = req.body;
+    const { currentPassword, newPassword } = req.body;
 
     // Validate required fields
-    if (!currentPassword || !newPassword || !securityCode) {
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide current password, new password, and security code'
+        message: 'Please provide current password and new password'
       });
     }
 
-    // Validate new password length
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be at least 8 characters long'
-      });
-    }
-
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    // Get user with password and the hashes of recent ones
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -202,32 +947,25 @@ router.post('/change-password', authenticateToken, async (req, res) => {
       });
     }
 
-    // Verify security code from environment variable
-    const masterSecurityCode = process.env.MASTER_SECURITY_CODE;
-    if (securityCode !== masterSecurityCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid security verification code'
-      });
-    }
-
-    // Check if new password is same as current password
-    const isSamePassword = await user.matchPassword(newPassword);
-    if (isSamePassword) {
-      return res.status(400).json({
-        success: false,
-        message: 'New password must be different from current password'
-      });
+    // Length, complexity, personal info, common passwords and reuse
+    const passwordErrors = await passwordPolicy.validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json(passwordPolicy.policyErrorResponse(passwordErrors));
     }
 
     // Update password (will be hashed by the pre-save middleware)
+    // Saving revokes every existing session, so issue a fresh one for this device
     user.password = newPassword;
     user.mustChangePassword = false; // Reset flag if it was set
     await user.save();
 
+    const { token, refreshToken } = await createSession(user, req);
+
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully. Other devices have been logged out.',
+      token,
+      refreshToken
     });
   } catch (err) {
     console.error(err);
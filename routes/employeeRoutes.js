@@ -1,23 +1,35 @@
-// routes/employeeRoutes.js - Simplified Permissions Version
+// routes/employeeRoutes.js - Policy-based Permissions Version
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { authenticateToken, requireEmployee, requireAdmin, requirePermission, requireNewPermission } = require('../middleware/authMiddleware');
+const { authenticateToken, requireUserAccount, requireCan, requireStepUp, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { employeeRoleNames, canGrant, canManage } = require('../utils/policy');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const loginThrottle = require('../utils/loginThrottle');
+const { sendInvitation } = require('../utils/invitations');
+const { requestApproval, pendingResponse } = require('../utils/approvals');
+const { recordRead, recordReads } = require('../utils/readAudit');
+const { historyForUser } = require('../utils/loginHistory');
 
-// Define the new permission constants
-const NEW_PERMISSIONS = {
-  CHANGE_USER_PASSWORDS: 'change_user_passwords',
-  DELETE_USERS: 'delete_users'
-};
+// Statuses staff can set by hand; 'invited' belongs to the invitation flow
+const MANUAL_STATUSES = ['active', 'inactive', 'suspended'];
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
 
-// GET /api/employees/stats - Get employee statistics (ALL EMPLOYEES CAN ACCESS)
-router.get('/stats', requireEmployee, async (req, res) => {
+// GET /api/employees/stats - Get employee statistics (requires employees:read)
+router.get('/stats', requireCan('read', 'employees'), async (req, res) => {
   try {
-    const employeeFilter = { role: { $in: ['admin', 'manager', 'staff', 'support'] } };
+    const employeeRoles = await employeeRoleNames();
+    
+    const employeeFilter = { role: { $in: employeeRoles } };
     
     const [
       totalCount,
@@ -62,8 +74,8 @@ router.get('/stats', requireEmployee, async (req, res) => {
   }
 });
 
-// PUT /api/employees/bulk - Bulk update employees (requires admin or manage_users permission)
-router.put('/bulk', requirePermission('manage_users'), async (req, res) => {
+// PUT /api/employees/bulk - Request a bulk status change (requires employees:update + second approver)
+router.put('/bulk', requireCan('update', 'employees'), async (req, res) => {
   try {
     const { ids, status } = req.body;
     
@@ -74,22 +86,43 @@ router.put('/bulk', requirePermission('manage_users'), async (req, res) => {
       });
     }
     
-    const updateData = {};
-    if (status) updateData.status = status;
+    if (!MANUAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be active, inactive or suspended'
+      });
+    }
     
-    const result = await User.updateMany(
-      { 
-        _id: { $in: ids },
-        role: { $in: ['admin', 'manager', 'staff', 'support'] }
-      },
-      updateData
-    );
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee IDs must be valid ids'
+      });
+    }
     
-    res.json({
-      success: true,
-      message: `${result.modifiedCount} employees updated successfully`,
-      modifiedCount: result.modifiedCount
-    });
+    // Nobody can change the status of someone who holds more access than they do
+    const employeeRoles = await employeeRoleNames();
+    const targets = await User.find({ _id: { $in: ids }, role: { $in: employeeRoles } })
+      .select('name role permissions');
+    const outranking = [];
+    for (const target of targets) {
+      if (!await canManage(req.user, target)) outranking.push(target.name);
+    }
+    if (outranking.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot change the status of employees with access you do not have: ${outranking.join(', ')}`
+      });
+    }
+    
+    // Runs through /api/approvals once a second employee approves it
+    const approval = await requestApproval('employees.bulk_status', {
+      payload: { ids: ids.map(String), status },
+      summary: `Set status of ${ids.length} employee(s) to ${status}`,
+      reason: req.body.reason
+    }, req.user);
+    
+    res.status(202).json(pendingResponse(approval));
   } catch (error) {
     console.error('Error bulk updating employees:', error);
     res.status(500).json({
@@ -100,14 +133,16 @@ router.put('/bulk', requirePermission('manage_users'), async (req, res) => {
   }
 });
 
-// GET /api/employees - Get all employees with filtering (ALL EMPLOYEES CAN ACCESS)
-router.get('/', requireEmployee, async (req, res) => {
+// GET /api/employees - Get all employees with filtering (requires employees:read)
+router.get('/', requireCan('read', 'employees'), async (req, res) => {
   try {
+    const employeeRoles = await employeeRoleNames();
+    
     const { search, role, status, department, page = 1, limit = 50 } = req.query;
     
     // Build filter object - only get employee roles
     const filter = {
-      role: { $in: ['admin', 'manager', 'staff', 'support'] }
+      role: { $in: employeeRoles }
     };
     
     if (search) {
@@ -118,7 +153,7 @@ router.get('/', requireEmployee, async (req, res) => {
       ];
     }
     
-    if (role && ['admin', 'manager', 'staff', 'support'].includes(role)) {
+    if (role && employeeRoles.includes(role)) {
       filter.role = role;
     }
     if (status) filter.status = status;
@@ -133,6 +168,8 @@ router.get('/', requireEmployee, async (req, res) => {
     
     const totalCount = await User.countDocuments(filter);
     
+    await recordReads(req, 'User', employees);
+    
     res.json({
       success: true,
       data: employees,
@@ -150,21 +187,72 @@ router.get('/', requireEmployee, async (req, res) => {
   }
 });
 
-// GET /api/employees/:id - Get single employee (ALL EMPLOYEES CAN ACCESS)
-router.get('/:id', requireEmployee, async (req, res) => {
+// GET /api/employees/invitations - List pending invitations (requires employees:create)
+router.get('/invitations', requireCan('create', 'employees'), async (req, res) => {
   try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const invited = await User.find({
+      role: { $in: employeeRoles },
+      status: 'invited'
+    })
+      .select('name email role department invitation createdAt')
+      .populate('invitation.invitedBy', 'name email')
+      .sort({ 'invitation.sentAt': -1 });
+    
+    const now = new Date();
+    const data = invited.map(employee => ({
+      id: employee._id,
+      name: employee.name,
+      email: employee.email,
+      role: employee.role,
+      department: employee.department,
+      invitedBy: employee.invitation.invitedBy,
+      sentAt: employee.invitation.sentAt,
+      expiresAt: employee.invitation.expiresAt,
+      expired: !employee.invitation.expiresAt || employee.invitation.expiresAt <= now
+    }));
+    
+    await recordReads(req, 'User', invited);
+    
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/employees/:id - Get single employee (requires employees:read)
+router.get('/:id', requireCan('read', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
     const employee = await User.findById(req.params.id).select('-password');
     
-    if (!employee || !['admin', 'manager', 'staff', 'support'].includes(employee.role)) {
+    if (!employee || !employeeRoles.includes(employee.role)) {
       return res.status(404).json({
         success: false,
         message: 'Employee not found'
       });
     }
     
+    const lockout = await loginThrottle.getAccountState(employee.email);
+    await recordRead(req, 'User', employee);
+    
     res.json({
       success: true,
-      data: employee
+      data: {
+        ...employee.toObject(),
+        lockout
+      }
     });
   } catch (error) {
     console.error('Error fetching employee:', error);
@@ -176,34 +264,43 @@ router.get('/:id', requireEmployee, async (req, res) => {
   }
 });
 
-// POST /api/employees - Create new employee (requires admin or manage_users permission)
-router.post('/', requirePermission('manage_users'), async (req, res) => {
+// POST /api/employees - Invite a new employee (requires employees:create)
+// The account starts out 'invited' and the invitee chooses a password via
+// POST /api/auth/accept-invite/:token
+router.post('/', requireCan('create', 'employees'), async (req, res) => {
   try {
+    const employeeRoles = await employeeRoleNames();
+    
     const {
       name,
       email,
       phone,
       role,
       department,
-      status,
-      permissions,
-      password,
-      sendWelcomeEmail
+      permissions
     } = req.body;
     
     // Validation
-    if (!name || !email || !password || !role || !department) {
+    if (!name || !email || !role || !department) {
       return res.status(400).json({
         success: false,
-        message: 'Name, email, password, role, and department are required'
+        message: 'Name, email, role, and department are required'
       });
     }
     
     // Validate role
-    if (!['admin', 'manager', 'staff', 'support'].includes(role)) {
+    if (!employeeRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be admin, manager, staff, or support'
+        message: `Invalid role. Must be one of: ${employeeRoles.join(', ')}`
+      });
+    }
+    
+    // Nobody can hand out more access than they hold themselves
+    if (!(await canGrant(req.user, { role, permissions }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant a role or permissions you do not have'
       });
     }
     
@@ -216,32 +313,41 @@ router.post('/', requirePermission('manage_users'), async (req, res) => {
       });
     }
     
-    // Create new employee
+    // Create new employee in the invited state
     const employee = new User({
       name,
       email,
       phone,
       role,
       department,
-      status: status || 'active',
+      status: 'invited',
       permissions: permissions || [],
-      password, // Will be hashed by the pre-save middleware
       isEmailVerified: false,
+      registrationSource: 'invite',
       createdBy: req.user.id
     });
     
-    await employee.save();
+    let invitationSent = true;
+    try {
+      await sendInvitation(employee, req.user);
+    } catch (mailError) {
+      // The account exists either way; the invitation can be resent
+      if (employee.isNew) throw mailError;
+      console.error('Failed to send invitation email:', mailError.message);
+      invitationSent = false;
+    }
     
     // Remove password from response
     const employeeResponse = employee.toObject();
     delete employeeResponse.password;
     
-    // TODO: Send welcome email if sendWelcomeEmail is true
-    
     res.status(201).json({
       success: true,
       data: employeeResponse,
-      message: 'Employee created successfully'
+      invitationSent,
+      message: invitationSent
+        ? 'Employee invited successfully'
+        : 'Employee created, but the invitation email could not be sent. Please resend it.'
     });
   } catch (error) {
     console.error('Error creating employee:', error);
@@ -253,9 +359,11 @@ router.post('/', requirePermission('manage_users'), async (req, res) => {
   }
 });
 
-// PUT /api/employees/:id - Update employee (requires admin or manage_users permission)
-router.put('/:id', requirePermission('manage_users'), async (req, res) => {
+// PUT /api/employees/:id - Update employee (requires employees:update)
+router.put('/:id', requireCan('update', 'employees'), async (req, res) => {
   try {
+    const employeeRoles = await employeeRoleNames();
+    
     const {
       name,
       email,
@@ -268,7 +376,7 @@ router.put('/:id', requirePermission('manage_users'), async (req, res) => {
     
     // Find employee
     const employee = await User.findById(req.params.id);
-    if (!employee || !['admin', 'manager', 'staff', 'support'].includes(employee.role)) {
+    if (!employee || !employeeRoles.includes(employee.role)) {
       return res.status(404).json({
         success: false,
         message: 'Employee not found'
@@ -287,10 +395,39 @@ router.put('/:id', requirePermission('manage_users'), async (req, res) => {
     }
     
     // Validate role if provided
-    if (role && !['admin', 'manager', 'staff', 'support'].includes(role)) {
+    if (role && !employeeRoles.includes(role)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be admin, manager, staff, or support'
+        message: `Invalid role. Must be one of: ${employeeRoles.join(', ')}`
+      });
+    }
+    
+    // Nobody can hand out more access than they hold themselves, or change the
+    // access of someone who holds more than they do
+    if ((role || permissions) && !(
+      await canGrant(req.user, { role, permissions }) &&
+      await canManage(req.user, employee)
+    )) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant a role or permissions you do not have'
+      });
+    }
+    
+    if (status && status !== employee.status && !MANUAL_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be active, inactive or suspended'
+      });
+    }
+    
+    // Invited accounts (and revoked invitations) have no password yet and only
+    // activate by accepting; a revoked one has to be re-invited first
+    const revokedInvite = employee.status === 'inactive' && employee.invitation && employee.invitation.revokedAt;
+    if (status && status !== employee.status && (employee.status === 'invited' || revokedInvite)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invited employees become active by accepting their invitation; resend it if it was revoked'
       });
     }
     
@@ -303,8 +440,17 @@ router.put('/:id', requirePermission('manage_users'), async (req, res) => {
     if (status) employee.status = status;
     if (permissions) employee.permissions = permissions;
     
+    const emailChanged = employee.isModified('email');
     await employee.save();
     
+    // A changed address has to be verified again; pending invitations follow the new address
+    if (emailChanged) {
+      const notify = employee.status === 'invited'
+        ? sendInvitation(employee, req.user)
+        : sendVerificationEmail(employee);
+      notify.catch(mailErr => console.error('Failed to notify new email address:', mailErr.message));
+    }
+    
     // Remove password from response
     const employeeResponse = employee.toObject();
     delete employeeResponse.password;
@@ -324,23 +470,14 @@ router.put('/:id', requirePermission('manage_users'), async (req, res) => {
   }
 });
 
-// DELETE /api/employees/:id - Delete employee (requires permission + master code)
-router.delete('/:id', requireNewPermission(NEW_PERMISSIONS.DELETE_USERS), async (req, res) => {
+// DELETE /api/employees/:id - Request employee deletion (requires employees:delete + MFA step-up + second approver)
+router.delete('/:id', requireCan('delete', 'employees'), requireStepUp(), async (req, res) => {
   try {
-    const { masterCode } = req.body;
-    const employeeId = req.params.id;
-    
-    // Verify master code matches your env variable
-    if (masterCode !== process.env.MASTER_SECURITY_CODE) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Invalid master security code. Access denied.' 
-      });
-    }
+    const employeeRoles = await employeeRoleNames();
     
-    const employee = await User.findById(employeeId);
+    const employee = await User.findById(req.params.id);
     
-    if (!employee || !['admin', 'manager', 'staff', 'support'].includes(employee.role)) {
+    if (!employee || !employeeRoles.includes(employee.role)) {
       return res.status(404).json({
         success: false,
         message: 'Employee not found'
@@ -366,70 +503,324 @@ router.delete('/:id', requireNewPermission(NEW_PERMISSIONS.DELETE_USERS), async
       });
     }
     
-    await User.findByIdAndDelete(employeeId);
+    // Runs through /api/approvals once a second employee approves it
+    const approval = await requestApproval('employees.delete', {
+      target: employee._id,
+      summary: `Delete employee ${employee.name} <${employee.email}> (${employee.role})`,
+      reason: req.body && req.body.reason
+    }, req.user);
+    
+    res.status(202).json(pendingResponse(approval));
+  } catch (error) {
+    console.error('Error deleting employee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete employee',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/employees/:id/reset-password - Request a password reset (requires employees:reset_password + MFA step-up + second approver)
+// Once approved, the employee's password stops working and they are emailed a link to choose a new one
+router.post('/:id/reset-password', requireCan('reset_password', 'employees'), requireStepUp(), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    if (employee.status === 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invited employees have not set a password yet. Resend the invitation instead.'
+      });
+    }
+    
+    // Runs through /api/approvals once a second employee approves it
+    const approval = await requestApproval('employees.reset_password', {
+      target: employee._id,
+      summary: `Reset password of ${employee.name} <${employee.email}>`,
+      reason: req.body.reason
+    }, req.user);
+    
+    res.status(202).json(pendingResponse(approval));
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/employees/:id/invitation/resend - Issue a new invitation link (requires employees:create)
+router.post('/:id/invitation/resend', requireCan('create', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    // Only never-activated accounts can be (re)invited
+    const revokedInvite = employee.status === 'inactive' && employee.invitation && employee.invitation.revokedAt;
+    if (employee.status !== 'invited' && !revokedInvite) {
+      return res.status(400).json({
+        success: false,
+        message: 'This employee has already accepted their invitation'
+      });
+    }
     
-    // Log the action
-    console.log(`Employee ${employee.email} deleted by ${req.user.email} using master code`);
+    // Issuing a new link invalidates the previous one
+    await sendInvitation(employee, req.user);
+    
+    console.log(`Invitation for ${employee.email} resent by ${req.user.email}`);
     
     res.json({
       success: true,
-      message: 'Employee deleted successfully'
+      message: 'Invitation sent successfully',
+      data: {
+        sentAt: employee.invitation.sentAt,
+        expiresAt: employee.invitation.expiresAt
+      }
     });
   } catch (error) {
-    console.error('Error deleting employee:', error);
+    console.error('Error resending invitation:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete employee',
+      message: 'Failed to resend invitation',
       error: error.message
     });
   }
 });
 
-// POST /api/employees/:id/reset-password - Reset employee password (requires permission + master code)
-router.post('/:id/reset-password', requireNewPermission(NEW_PERMISSIONS.CHANGE_USER_PASSWORDS), async (req, res) => {
+// DELETE /api/employees/:id/invitation - Revoke a pending invitation (requires employees:create)
+router.delete('/:id/invitation', requireCan('create', 'employees'), async (req, res) => {
   try {
-    const { masterCode } = req.body;
-    const employeeId = req.params.id;
-    
-    // Verify master code matches your env variable
-    if (masterCode !== process.env.MASTER_SECURITY_CODE) {
-      return res.status(403).json({ 
-        success: false, 
-        message: 'Invalid master security code. Access denied.' 
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    if (employee.status !== 'invited') {
+      return res.status(400).json({
+        success: false,
+        message: 'This employee has no pending invitation'
       });
     }
     
-    const employee = await User.findById(employeeId);
+    employee.invitation.tokenId = undefined;
+    employee.invitation.revokedAt = new Date();
+    employee.status = 'inactive';
+    await employee.save({ validateModifiedOnly: true });
+    
+    console.log(`Invitation for ${employee.email} revoked by ${req.user.email}`);
     
-    if (!employee || !['admin', 'manager', 'staff', 'support'].includes(employee.role)) {
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/employees/:id/unlock - Clear a login lockout (requires employees:unlock)
+router.post('/:id/unlock', requireCan('unlock', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
       return res.status(404).json({
         success: false,
         message: 'Employee not found'
       });
     }
     
-    // Generate temporary password
-    const tempPassword = Math.random().toString(36).slice(-8) + Math.random().toString(36).slice(-8);
+    await loginThrottle.unlock(employee.email);
+    
+    // Close out the most recent lockout event
+    const openEvent = [...employee.lockoutEvents].reverse().find(event => !event.unlockedAt);
+    if (openEvent) {
+      openEvent.unlockedAt = new Date();
+      openEvent.unlockedBy = req.user.id;
+      await employee.save({ validateModifiedOnly: true });
+    }
     
-    // Update employee password (will be hashed by pre-save middleware)
-    employee.password = tempPassword;
-    employee.mustChangePassword = true; // Flag to force password change on next login
+    console.log(`Account ${employee.email} unlocked by ${req.user.email}`);
     
-    await employee.save();
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Error unlocking employee:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock employee',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/employees/:id/sessions - List an employee's active sessions (requires employees:manage_sessions)
+router.get('/:id/sessions', requireCan('manage_sessions', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
     
-    // Log the action
-    console.log(`Password reset for ${employee.email} by ${req.user.email} using master code`);
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const sessions = await Session.findActiveForUser(employee._id).sort({ lastUsedAt: -1 });
     
     res.json({
       success: true,
-      temporaryPassword: tempPassword, // In production, don't return this - send via email
-      message: 'Password reset successfully'
+      count: sessions.length,
+      data: sessions.map(session => session.toSummary(req.user.sessionId))
     });
   } catch (error) {
-    console.error('Error resetting password:', error);
+    console.error('Error fetching employee sessions:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to reset password',
+      message: 'Failed to fetch employee sessions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/employees/:id/login-history - An employee's sign-in attempts (requires employees:manage_sessions)
+router.get('/:id/login-history', requireCan('manage_sessions', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const history = await historyForUser(employee._id, req.query);
+    
+    res.json({
+      success: true,
+      ...history
+    });
+  } catch (error) {
+    console.error('Error fetching employee login history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch employee login history',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/employees/:id/sessions/:sessionId - End one of an employee's sessions (requires employees:manage_sessions)
+router.delete('/:id/sessions/:sessionId', requireCan('manage_sessions', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOne({ _id: req.params.sessionId, user: employee._id })
+      : null;
+    
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Active session not found'
+      });
+    }
+    
+    await session.revoke('admin_revoked');
+    
+    console.log(`Session ${session._id} of ${employee.email} ended by ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'Session ended'
+    });
+  } catch (error) {
+    console.error('Error ending employee session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end session',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/employees/:id/sessions - End all of an employee's sessions (requires employees:manage_sessions)
+router.delete('/:id/sessions', requireCan('manage_sessions', 'employees'), async (req, res) => {
+  try {
+    const employeeRoles = await employeeRoleNames();
+    
+    const employee = await User.findById(req.params.id);
+    
+    if (!employee || !employeeRoles.includes(employee.role)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const result = await Session.revokeAllForUser(employee._id, 'admin_revoked');
+    
+    console.log(`All sessions of ${employee.email} ended by ${req.user.email}`);
+    
+    res.json({
+      success: true,
+      message: 'All sessions ended',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error ending employee sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end sessions',
       error: error.message
     });
   }
@@ -2,15 +2,17 @@
 const express = require('express');
 const router = express.Router();
 const Event = require('../models/Event');
-const { authenticateToken, requireEmployee } = require('../middleware/authMiddleware');
+const { authenticateToken, requireCan } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(auditMutations);
 
 // @desc    Get all events
 // @route   GET /api/events
-// @access  Private (All employees can access)
-router.get('/', requireEmployee, async (req, res) => {
+// @access  Private (requires events:read)
+router.get('/', requireCan('read', 'events'), async (req, res) => {
   try {
     // Build query
     let query = {};
@@ -91,8 +93,8 @@ router.get('/', requireEmployee, async (req, res) => {
 
 // @desc    Get single event
 // @route   GET /api/events/:id
-// @access  Private (All employees can access)
-router.get('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires events:read)
+router.get('/:id', requireCan('read', 'events'), async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
     
@@ -127,8 +129,8 @@ router.get('/:id', requireEmployee, async (req, res) => {
 
 // @desc    Create new event
 // @route   POST /api/events
-// @access  Private (All employees can create)
-router.post('/', requireEmployee, async (req, res) => {
+// @access  Private (requires events:create)
+router.post('/', requireCan('create', 'events'), async (req, res) => {
   try {
     console.log('📝 Creating new event with data:', req.body);
     console.log('👤 User creating event:', req.user.email, req.user.role);
@@ -200,8 +202,8 @@ router.post('/', requireEmployee, async (req, res) => {
 
 // @desc    Update event
 // @route   PUT /api/events/:id
-// @access  Private (All employees can update)
-router.put('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires events:update)
+router.put('/:id', requireCan('update', 'events'), async (req, res) => {
   try {
     console.log(`📝 Updating event ${req.params.id} with data:`, req.body);
     console.log('👤 User updating event:', req.user.email, req.user.role);
@@ -297,8 +299,8 @@ router.put('/:id', requireEmployee, async (req, res) => {
 
 // @desc    Delete event
 // @route   DELETE /api/events/:id
-// @access  Private (All employees can delete)
-router.delete('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires events:delete)
+router.delete('/:id', requireCan('delete', 'events'), async (req, res) => {
   try {
     console.log(`🗑️ Deleting event ${req.params.id}`);
     console.log('👤 User deleting event:', req.user.email, req.user.role);
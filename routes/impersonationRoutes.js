@@ -0,0 +1,250 @@
+// File: routes/impersonationRoutes.js
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationRequest = require('../models/ImpersonationRequest');
+const { authenticateToken, requireUserAccount, requireCan, requireStepUp, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { can, canGrant } = require('../utils/policy');
+const { lifetimeMinutes, signToken } = require('../utils/impersonation');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+
+// Impersonators see their own impersonations; audit readers see everyone's
+const canSee = async (user, impersonation) => {
+  return impersonation.impersonator.toString() === user.id.toString() ||
+    (await can(user, 'read', 'audit'));
+};
+
+// @desc    Start acting as another user. Returns a short-lived access token
+//          for that user; it cannot be refreshed.
+// @route   POST /api/impersonation
+// @access  Private (requires users:impersonate; MFA-enrolled accounts must also send mfaCode)
+router.post('/', requireCan('impersonate', 'users'), requireStepUp({ optional: true }), async (req, res) => {
+  try {
+    const { userId, reason, minutes } = req.body;
+
+    if (!userId || !reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the userId to impersonate and a reason'
+      });
+    }
+
+    const target = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (target._id.equals(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself'
+      });
+    }
+
+    if (target.status && target.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active accounts can be impersonated'
+      });
+    }
+
+    // Impersonating must never give more access than the impersonator already has
+    if (!(await canGrant(req.user, { role: target.role, permissions: target.permissions }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot impersonate a user with permissions you do not have'
+      });
+    }
+
+    const impersonation = await Impersonation.create({
+      impersonator: req.user.id,
+      target: target._id,
+      reason: String(reason).trim(),
+      session: req.user.sessionId,
+      expiresAt: new Date(Date.now() + lifetimeMinutes(minutes) * 60 * 1000),
+      ip: req.ip || '',
+      userAgent: req.get('user-agent') || ''
+    });
+
+    console.log(`🎭 ${req.user.email} started impersonating ${target.email}: ${impersonation.reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: `You are now acting as ${target.name}. Sensitive actions are disabled and every request is recorded.`,
+      token: signToken(impersonation),
+      data: {
+        id: impersonation._id,
+        impersonator: { id: req.user.id, name: req.user.name, email: req.user.email },
+        target: { id: target._id, name: target.name, email: target.email, role: target.role },
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error starting impersonation:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting impersonation'
+    });
+  }
+});
+
+// @desc    List impersonations, newest first
+// @route   GET /api/impersonation?impersonator=&target=&active=true&page=&limit=
+// @access  Private (own impersonations with users:impersonate; everyone's with audit:read)
+router.get('/', async (req, res) => {
+  try {
+    const { impersonator, target, active, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (await can(req.user, 'read', 'audit')) {
+      if (impersonator) filter.impersonator = String(impersonator);
+    } else if (await can(req.user, 'impersonate', 'users')) {
+      filter.impersonator = req.user.id;
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+        required: 'users:impersonate'
+      });
+    }
+
+    if (target) filter.target = String(target);
+    if (active === 'true') {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const impersonations = await Impersonation.find(filter)
+      .populate('impersonator', 'name email role')
+      .populate('target', 'name email role')
+      .populate('endedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await Impersonation.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: impersonations.map(impersonation => ({
+        ...impersonation.toObject(),
+        active: impersonation.isActive()
+      })),
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching impersonations:', err);
+
+    if (err.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user id'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching impersonations'
+    });
+  }
+});
+
+// @desc    Every request made during an impersonation
+// @route   GET /api/impersonation/:id/requests
+// @access  Private (the impersonator, or audit:read)
+router.get('/:id/requests', async (req, res) => {
+  try {
+    const impersonation = mongoose.isValidObjectId(req.params.id)
+      ? await Impersonation.findById(req.params.id)
+      : null;
+
+    if (!impersonation || !(await canSee(req.user, impersonation))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+
+    const requests = await ImpersonationRequest.find({ impersonation: impersonation._id })
+      .sort({ timestamp: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (err) {
+    console.error('❌ Error fetching impersonated requests:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching impersonated requests'
+    });
+  }
+});
+
+// @desc    End an impersonation; its token stops working immediately
+// @route   DELETE /api/impersonation/:id
+// @access  Private (the impersonator, or audit:read)
+router.delete('/:id', async (req, res) => {
+  try {
+    const impersonation = mongoose.isValidObjectId(req.params.id)
+      ? await Impersonation.findById(req.params.id)
+      : null;
+
+    if (!impersonation || !(await canSee(req.user, impersonation))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+
+    if (!impersonation.isActive()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Impersonation has already ended'
+      });
+    }
+
+    impersonation.endedAt = new Date();
+    impersonation.endedBy = req.user.id;
+    await impersonation.save();
+
+    console.log(`🎭 Impersonation ${impersonation._id} ended by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+      data: impersonation
+    });
+  } catch (err) {
+    console.error('❌ Error ending impersonation:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending impersonation'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,458 @@
+// File: routes/meRoutes.js
+// Self-service for the signed-in account. Practitioner accounts claim a
+// directory profile here (staff review claims through /api/practitioner-claims);
+// once linked (Practitioner.user) they propose edits, which staff review
+// through /api/practitioner-revisions.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Practitioner = require('../models/Practitioner');
+const PractitionerRevision = require('../models/PractitionerRevision');
+const PractitionerClaim = require('../models/PractitionerClaim');
+const { authenticateToken, requireUserAccount, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { uploadSingleImage, deleteFile } = require('../utils/imageUpload');
+const { EDITABLE_FIELDS, parseProposal, diffProposal } = require('../utils/practitionerRevisions');
+const practitionerClaims = require('../utils/practitionerClaims');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+// Load the caller's linked practitioner profile into req.practitioner
+const requireLinkedPractitioner = async (req, res, next) => {
+  try {
+    const practitioner = await Practitioner.findOne({ user: req.user.id });
+
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Your account is not linked to a practitioner profile'
+      });
+    }
+
+    req.practitioner = practitioner;
+    next();
+  } catch (err) {
+    console.error('❌ Error loading linked practitioner:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// Create the pending revision, or merge new values into the one already pending
+const proposeChanges = async (req, proposed) => {
+  const pending = await PractitionerRevision.findOne({ practitioner: req.practitioner._id, status: 'pending' });
+  const merged = { ...(pending ? pending.proposed : {}), ...proposed };
+  const changes = diffProposal(req.practitioner, merged);
+
+  if (pending) {
+    if (changes.length === 0) {
+      pending.status = 'withdrawn';
+      await pending.save();
+      return null;
+    }
+
+    pending.proposed = merged;
+    pending.markModified('proposed');
+    pending.changes = changes;
+    pending.submittedBy = req.user.id;
+    return pending.save();
+  }
+
+  if (changes.length === 0) return null;
+
+  return PractitionerRevision.create({
+    practitioner: req.practitioner._id,
+    submittedBy: req.user.id,
+    proposed: merged,
+    changes
+  });
+};
+
+// @desc    My practitioner profile, with any edit awaiting review
+// @route   GET /api/me/practitioner-profile
+// @access  Private (linked practitioner)
+router.get('/practitioner-profile', requireLinkedPractitioner, async (req, res) => {
+  try {
+    const pendingRevision = await PractitionerRevision.findOne({
+      practitioner: req.practitioner._id,
+      status: 'pending'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: req.practitioner,
+      editableFields: EDITABLE_FIELDS,
+      pendingRevision
+    });
+  } catch (err) {
+    console.error('❌ Error fetching practitioner profile:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching practitioner profile'
+    });
+  }
+});
+
+// @desc    Propose profile changes; they go live once staff approve them
+// @route   PUT /api/me/practitioner-profile
+// @access  Private (linked practitioner)
+router.put('/practitioner-profile', requireLinkedPractitioner, async (req, res) => {
+  try {
+    const notEditable = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (notEditable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These fields can't be changed here: ${notEditable.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    const { proposed, errors } = parseProposal(req.body, req.practitioner);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Validation error: ${errors.join(', ')}`
+      });
+    }
+
+    const revision = await proposeChanges(req, proposed);
+
+    console.log(`📝 Profile changes proposed for practitioner ${req.practitioner._id} by ${req.user.email}`);
+
+    res.status(revision ? 202 : 200).json({
+      success: true,
+      message: revision
+        ? 'Your changes have been submitted for review'
+        : 'Nothing to review: your profile already has these values',
+      data: revision
+    });
+  } catch (err) {
+    console.error('❌ Error proposing profile changes:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting profile changes'
+    });
+  }
+});
+
+// @desc    Upload a new profile photo for review
+// @route   POST /api/me/practitioner-profile/photo (multipart field "image")
+// @access  Private (linked practitioner)
+router.post('/practitioner-profile/photo', requireLinkedPractitioner, uploadSingleImage('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image file uploaded'
+      });
+    }
+
+    const revision = await proposeChanges(req, { imageUrl: `/uploads/${req.file.filename}` });
+
+    console.log(`📷 New photo proposed for practitioner ${req.practitioner._id} by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Your new photo has been submitted for review',
+      data: revision
+    });
+  } catch (err) {
+    console.error('❌ Error uploading profile photo:', err);
+
+    if (req.file) {
+      deleteFile(req.file.filename);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading profile photo'
+    });
+  }
+});
+
+// @desc    My submitted revisions, newest first
+// @route   GET /api/me/practitioner-profile/revisions
+// @access  Private (linked practitioner)
+router.get('/practitioner-profile/revisions', requireLinkedPractitioner, async (req, res) => {
+  try {
+    const revisions = await PractitionerRevision.find({ practitioner: req.practitioner._id })
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (err) {
+    console.error('❌ Error fetching profile revisions:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile revisions'
+    });
+  }
+});
+
+// @desc    Withdraw the revision awaiting review
+// @route   DELETE /api/me/practitioner-profile/revision
+// @access  Private (linked practitioner)
+router.delete('/practitioner-profile/revision', requireLinkedPractitioner, async (req, res) => {
+  try {
+    const revision = await PractitionerRevision.findOneAndUpdate(
+      { practitioner: req.practitioner._id, status: 'pending' },
+      { status: 'withdrawn' },
+      { new: true }
+    );
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'No changes are awaiting review'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your proposed changes have been withdrawn',
+      data: revision
+    });
+  } catch (err) {
+    console.error('❌ Error withdrawing profile revision:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while withdrawing profile changes'
+    });
+  }
+});
+
+// Only practitioner accounts may claim a directory profile
+const requirePractitionerRole = (req, res, next) => {
+  if (req.user.role !== 'practitioner') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only practitioner accounts can claim a profile'
+    });
+  }
+  next();
+};
+
+// @desc    Claim a directory profile. A one-time link is emailed to the
+//          profile's address; using it links the profile to this account.
+// @route   POST /api/me/practitioner-claims  { practitionerId, message }
+// @access  Private (practitioner role)
+router.post('/practitioner-claims', requirePractitionerRole, async (req, res) => {
+  try {
+    const { practitionerId, message } = req.body;
+
+    if (!mongoose.isValidObjectId(practitionerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid practitionerId is required'
+      });
+    }
+
+    if (await Practitioner.exists({ user: req.user.id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your account is already linked to a practitioner profile'
+      });
+    }
+
+    const practitioner = await Practitioner.findById(practitionerId);
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+
+    if (!practitioner.email) {
+      return res.status(409).json({
+        success: false,
+        message: 'This profile has no email address to verify; please contact support'
+      });
+    }
+
+    const claim = await PractitionerClaim.create({
+      practitioner: practitioner._id,
+      claimant: req.user.id,
+      message,
+      conflicts: await practitionerClaims.detectConflicts(practitioner, req.user.id)
+    });
+
+    await practitionerClaims.sendVerification(claim, practitioner, req.user);
+
+    console.log(`🙋 ${req.user.email} claimed practitioner ${practitioner.name}${claim.conflicts.length ? ' (conflicting)' : ''}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Check the inbox of the email address on the profile for a confirmation link',
+      // Conflicts name other accounts' emails; they are for staff review only
+      data: { id: claim._id, status: claim.status }
+    });
+  } catch (err) {
+    console.error('❌ Error creating practitioner claim:', err);
+
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open claim for this profile'
+      });
+    }
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming profile'
+    });
+  }
+});
+
+// @desc    My profile claims, newest first
+// @route   GET /api/me/practitioner-claims
+// @access  Private
+router.get('/practitioner-claims', async (req, res) => {
+  try {
+    const claims = await PractitionerClaim.find({ claimant: req.user.id })
+      .populate('practitioner', 'name slug')
+      .select('-conflicts')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: claims.length,
+      data: claims
+    });
+  } catch (err) {
+    console.error('❌ Error fetching practitioner claims:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching your claims'
+    });
+  }
+});
+
+// @desc    Confirm a claim with the one-time link emailed to the profile's
+//          address. Only works for the account that made the claim.
+// @route   POST /api/me/practitioner-claims/verify  { token }
+// @access  Private (practitioner role)
+router.post('/practitioner-claims/verify', requirePractitionerRole, async (req, res) => {
+  try {
+    const claim = req.body.token
+      ? await practitionerClaims.findByToken(req.body.token, req.user.id)
+      : null;
+
+    if (!claim) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired claim link. Make sure you are signed in to the account that made the claim.'
+      });
+    }
+
+    await practitionerClaims.completeVerification(claim);
+
+    res.status(200).json({
+      success: true,
+      message: claim.status === 'approved'
+        ? 'Profile claimed. You can now manage it from your account.'
+        : claim.status === 'pending_review'
+          ? 'Email confirmed. Our team will review your claim shortly.'
+          : 'This claim can no longer be completed',
+      data: { id: claim._id, status: claim.status }
+    });
+  } catch (err) {
+    console.error('❌ Error verifying practitioner claim:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming your claim'
+    });
+  }
+});
+
+// @desc    Send a new confirmation link for a claim awaiting verification
+// @route   POST /api/me/practitioner-claims/:id/resend
+// @access  Private (practitioner role)
+router.post('/practitioner-claims/:id/resend', requirePractitionerRole, async (req, res) => {
+  try {
+    const claim = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerClaim.findOne({ _id: req.params.id, claimant: req.user.id, status: 'pending_verification' })
+      : null;
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'No claim awaiting verification was found'
+      });
+    }
+
+    const practitioner = await Practitioner.findById(claim.practitioner);
+    if (!practitioner || !practitioner.email) {
+      return res.status(409).json({
+        success: false,
+        message: 'This profile has no email address to verify; please contact support'
+      });
+    }
+
+    await practitionerClaims.sendVerification(claim, practitioner, req.user);
+
+    res.status(202).json({
+      success: true,
+      message: 'A new confirmation link has been sent to the email address on the profile'
+    });
+  } catch (err) {
+    console.error('❌ Error resending claim verification:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending confirmation link'
+    });
+  }
+});
+
+// @desc    Cancel one of my open claims
+// @route   DELETE /api/me/practitioner-claims/:id
+// @access  Private
+router.delete('/practitioner-claims/:id', async (req, res) => {
+  try {
+    const claim = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerClaim.findOneAndUpdate(
+        { _id: req.params.id, claimant: req.user.id, status: { $in: PractitionerClaim.OPEN_STATUSES } },
+        { status: 'cancelled', $unset: { verificationTokenHash: 1 } },
+        { new: true }
+      )
+      : null;
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open claim was found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Your claim has been cancelled',
+      data: { id: claim._id, status: claim.status }
+    });
+  } catch (err) {
+    console.error('❌ Error cancelling practitioner claim:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling your claim'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+// File: routes/mfaRoutes.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { authenticateToken, requireUserAccount, requireStepUp } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+
+const issueRecoveryCodes = (user) => {
+  const codes = totp.generateRecoveryCodes();
+  user.mfa.recoveryCodes = codes.map(totp.hashRecoveryCode);
+  return codes;
+};
+
+// @desc    Get MFA enrollment status
+// @route   GET /api/auth/mfa
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.recoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: Boolean(user.mfa && user.mfa.enabled),
+        enabledAt: user.mfa ? user.mfa.enabledAt : null,
+        recoveryCodesRemaining: user.mfa && user.mfa.recoveryCodes ? user.mfa.recoveryCodes.length : 0
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Start TOTP enrollment and return the provisioning URI for the QR code
+// @route   POST /api/auth/mfa/setup
+// @access  Private
+router.post('/setup', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.mfa.pendingSecret = secret;
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then verify a code to finish enrollment',
+      data: {
+        secret,
+        otpauthUrl: totp.buildOtpauthUrl({
+          secret,
+          accountName: user.email,
+          issuer: process.env.MFA_ISSUER || 'Vibrant Health'
+        })
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/mfa/verify
+// @access  Private
+router.post('/verify', async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification code'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+mfa.pendingSecret');
+
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Multi-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.mfa || !user.mfa.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'No enrollment in progress. Please start setup first.'
+      });
+    }
+
+    const step = totp.verifyCode(user.mfa.pendingSecret, String(code));
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.lastUsedStep = step;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+
+    await user.save({ validateModifiedOnly: true });
+
+    console.log(`🔐 MFA enabled for ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Multi-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private (requires MFA code)
+router.post('/recovery-codes', requireStepUp(), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.recoveryCodes');
+    const recoveryCodes = issueRecoveryCodes(user);
+
+    await user.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Disable MFA
+// @route   POST /api/auth/mfa/disable
+// @access  Private (requires password and MFA code)
+router.post('/disable', requireStepUp(), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.mfa = { enabled: false, enabledAt: null };
+    await user.save({ validateModifiedOnly: true });
+
+    console.log(`🔓 MFA disabled for ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Multi-factor authentication disabled'
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
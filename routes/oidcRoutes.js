@@ -0,0 +1,231 @@
+// File: routes/oidcRoutes.js
+// Staff single sign-on through the organization's OpenID Connect provider.
+// The callback finishes in the browser: it redirects to OIDC_POST_LOGIN_REDIRECT
+// with the token pair (or an error) in the URL fragment, which never reaches a server.
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const oidc = require('../utils/oidc');
+const { employeeRoleNames } = require('../utils/policy');
+const { createSession } = require('../utils/sessionTokens');
+const { recordLogin } = require('../utils/loginHistory');
+const { appUrl } = require('../utils/mailer');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// The browser that starts a login gets a cookie with a hash of its state, and
+// the callback only accepts a state whose hash matches. Without it, a state and
+// code from someone else's login could be replayed in a victim's browser and
+// sign them in as that someone (login CSRF).
+const STATE_COOKIE = 'oidc_state';
+const stateCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/oidc'
+};
+
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+const readCookie = (req, name) => {
+  const match = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return match ? decodeURIComponent(match.slice(1).join('=')) : null;
+};
+
+const postLoginUrl = (params) => {
+  const base = process.env.OIDC_POST_LOGIN_REDIRECT || appUrl('/auth/sso');
+  return `${base}#${new URLSearchParams(params).toString()}`;
+};
+
+// Refuse every route while SSO isn't configured
+router.use((req, res, next) => {
+  if (!oidc.isEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+  next();
+});
+
+// Find the local account for verified ID token claims, linking or creating it as
+// configured. Returns { user } or { error } with a message safe to show.
+const resolveUser = async (claims) => {
+  const { issuer, autoCreate, trustUnverifiedEmail } = oidc.settings();
+  const groups = oidc.groupsFromClaims(claims);
+  const role = oidc.mapRole(groups);
+  const department = oidc.mapDepartment(groups);
+  const employeeRoles = await employeeRoleNames();
+  const email = claims.email ? String(claims.email).trim() : null;
+
+  if (!role || !employeeRoles.includes(role)) {
+    return { error: 'Your account is not in any group that grants staff access' };
+  }
+
+  let user = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': claims.sub });
+
+  // First SSO login of an existing account: link it by a verified email address.
+  // A missing email_verified claim doesn't count as verified.
+  if (!user && email) {
+    if (claims.email_verified !== true && !trustUnverifiedEmail) {
+      return { error: 'Your identity provider has not verified your email address' };
+    }
+    // Stored addresses keep the case they were entered with
+    const escaped = email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    user = await User.findOne({ email: new RegExp(`^${escaped}$`, 'i') });
+    if (user && user.oidc && user.oidc.subject) {
+      return { error: 'This email address is linked to a different single sign-on account' };
+    }
+  }
+
+  if (!user) {
+    if (!autoCreate || !email) {
+      return { error: 'No staff account exists for you yet. Please contact an administrator.' };
+    }
+
+    user = new User({
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email,
+      email,
+      role,
+      department: department || undefined,
+      status: 'active',
+      isEmailVerified: true,
+      registrationSource: 'sso'
+    });
+    console.log(`👤 Creating ${role} account for ${email} from single sign-on`);
+  }
+
+  // Only staff accounts can use SSO; it never turns a public account into a staff one
+  if (!user.isNew && !employeeRoles.includes(user.role)) {
+    return { error: 'Single sign-on is only available for staff accounts' };
+  }
+
+  // An outstanding invitation is accepted by signing in through the IdP
+  if (user.status === 'invited') {
+    user.status = 'active';
+    user.invitation.tokenId = undefined;
+    user.invitation.acceptedAt = new Date();
+  }
+
+  if (user.status !== 'active') {
+    return { error: 'Account is not active. Please contact administrator.' };
+  }
+
+  // The IdP's groups are the source of truth for role and department
+  user.role = role;
+  if (department) user.department = department;
+  user.isEmailVerified = true;
+  user.oidc = {
+    issuer,
+    subject: claims.sub,
+    groups,
+    lastLoginAt: new Date()
+  };
+  user.lastLogin = new Date();
+  await user.save();
+
+  return { user };
+};
+
+// @desc    Start single sign-on (redirects to the identity provider)
+// @route   GET /api/auth/oidc/login?format=json
+// @access  Public
+router.get('/login', async (req, res) => {
+  try {
+    const { url, state, nonce, codeVerifier } = await oidc.createAuthorizationRequest();
+
+    await OidcState.create({
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL_MS)
+    });
+
+    res.cookie(STATE_COOKIE, hashState(state), { ...stateCookieOptions, maxAge: STATE_TTL_MS });
+
+    // Single-page apps may prefer to navigate themselves (fetch this with
+    // credentials included, so the browser keeps the state cookie)
+    if (req.query.format === 'json') {
+      return res.status(200).json({
+        success: true,
+        data: { authorizationUrl: url }
+      });
+    }
+
+    res.redirect(302, url);
+  } catch (err) {
+    console.error('❌ OIDC login error:', err);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach the identity provider'
+    });
+  }
+});
+
+// @desc    Finish single sign-on after the identity provider redirects back
+// @route   GET /api/auth/oidc/callback
+// @access  Public (requires a pending login state)
+router.get('/callback', async (req, res) => {
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    const browserState = readCookie(req, STATE_COOKIE);
+    res.clearCookie(STATE_COOKIE, stateCookieOptions);
+
+    if (error) {
+      return res.redirect(302, postLoginUrl({ error: errorDescription || error }));
+    }
+
+    // The state must have been started in this browser
+    if (!state || !browserState || browserState !== hashState(state)) {
+      return res.redirect(302, postLoginUrl({ error: 'Sign-in was started in another browser or has expired. Please try again.' }));
+    }
+
+    // Each state can be used once
+    const pending = await OidcState.findOneAndDelete({ state: String(state), expiresAt: { $gt: new Date() } });
+    if (!pending || !code) {
+      return res.redirect(302, postLoginUrl({ error: 'Sign-in link has expired. Please try again.' }));
+    }
+
+    const claims = await oidc.exchangeCode({
+      code: String(code),
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+
+    const { user, error: accountError } = await resolveUser(claims);
+    if (accountError) {
+      console.warn(`🚫 SSO login refused for ${claims.email || claims.sub}: ${accountError}`);
+      await recordLogin(req, { email: claims.email, success: false, method: 'sso', failureReason: 'sso_refused' });
+      return res.redirect(302, postLoginUrl({ error: accountError }));
+    }
+
+    // Accounts with local MFA still finish through /api/auth/login/mfa
+    if (user.mfa && user.mfa.enabled) {
+      const mfaToken = jwt.sign(
+        { id: user._id, purpose: 'mfa_challenge', method: 'sso' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+      return res.redirect(302, postLoginUrl({ mfaRequired: 'true', mfaToken }));
+    }
+
+    const { session, token, refreshToken } = await createSession(user, req, { method: 'sso' });
+    await recordLogin(req, { user, success: true, method: 'sso', session });
+
+    console.log(`✅ SSO login: ${user.email} (${user.role})`);
+
+    res.redirect(302, postLoginUrl({ token, refreshToken }));
+  } catch (err) {
+    console.error('❌ OIDC callback error:', err);
+    res.redirect(302, postLoginUrl({ error: 'Single sign-on failed. Please try again.' }));
+  }
+});
+
+module.exports = router;
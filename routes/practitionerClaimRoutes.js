@@ -0,0 +1,225 @@
+// File: routes/practitionerClaimRoutes.js
+// Staff review queue for profile claims. Claimants start, confirm and follow
+// their claims through /api/me.
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Practitioner = require('../models/Practitioner');
+const PractitionerClaim = require('../models/PractitionerClaim');
+const { authenticateToken, requireUserAccount, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const practitionerClaims = require('../utils/practitionerClaims');
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Claim not found'
+});
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+// @desc    Claims queue, oldest first (defaults to claims waiting for staff)
+// @route   GET /api/practitioner-claims?status=&practitioner=&conflicted=true&page=&limit=
+// @access  Private (requires practitioners:link)
+router.get('/', requireCan('link', 'practitioners'), async (req, res) => {
+  try {
+    const { status = 'pending_review', practitioner, conflicted, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status !== 'all') filter.status = String(status);
+    if (conflicted === 'true') filter['conflicts.0'] = { $exists: true };
+    if (practitioner) {
+      if (!mongoose.isValidObjectId(practitioner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid practitioner id'
+        });
+      }
+      filter.practitioner = practitioner;
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const claims = await PractitionerClaim.find(filter)
+      .populate('practitioner', 'name slug email user')
+      .populate('claimant', 'name email role')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: 1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await PractitionerClaim.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: claims,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching practitioner claims:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching practitioner claims'
+    });
+  }
+});
+
+// @desc    One claim, with conflicts re-checked against the current state
+// @route   GET /api/practitioner-claims/:id
+// @access  Private (requires practitioners:link)
+router.get('/:id', requireCan('link', 'practitioners'), async (req, res) => {
+  try {
+    const claim = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerClaim.findById(req.params.id)
+        .populate('claimant', 'name email role')
+        .populate('reviewedBy', 'name email')
+      : null;
+
+    if (!claim) {
+      return notFound(res);
+    }
+
+    const practitioner = await Practitioner.findById(claim.practitioner).select('name slug email user');
+    const isOpen = PractitionerClaim.OPEN_STATUSES.includes(claim.status);
+
+    res.status(200).json({
+      success: true,
+      data: claim,
+      practitioner,
+      currentConflicts: practitioner && isOpen && claim.claimant
+        ? await practitionerClaims.detectConflicts(practitioner, claim.claimant._id)
+        : []
+    });
+  } catch (err) {
+    console.error('❌ Error fetching practitioner claim:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching practitioner claim'
+    });
+  }
+});
+
+// @desc    Approve a claim and link the profile. Claims whose email isn't
+//          verified yet, or profiles owned by another account, need { override: true }.
+// @route   POST /api/practitioner-claims/:id/approve  { note, override }
+// @access  Private (requires practitioners:link)
+router.post('/:id/approve', requireCan('link', 'practitioners'), async (req, res) => {
+  try {
+    const { note, override } = req.body;
+    const claim = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerClaim.findById(req.params.id)
+      : null;
+
+    if (!claim) {
+      return notFound(res);
+    }
+
+    if (!PractitionerClaim.OPEN_STATUSES.includes(claim.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Claim has already been ${claim.status}`
+      });
+    }
+
+    const practitioner = await Practitioner.findById(claim.practitioner);
+    if (!practitioner) {
+      return res.status(409).json({
+        success: false,
+        message: 'The profile for this claim no longer exists'
+      });
+    }
+
+    const conflicts = await practitionerClaims.detectConflicts(practitioner, claim.claimant);
+    const needsOverride = !claim.emailVerifiedAt || conflicts.some(conflict => conflict.kind === 'already_linked');
+    if (needsOverride && !override) {
+      return res.status(409).json({
+        success: false,
+        code: 'CLAIM_OVERRIDE_REQUIRED',
+        message: claim.emailVerifiedAt
+          ? 'This profile is linked to another account. Approve with override to move it.'
+          : 'The claimant has not confirmed the profile email yet. Approve with override to link it anyway.',
+        conflicts
+      });
+    }
+
+    const linked = await practitionerClaims.approve(claim, { reviewer: req.user.id, note, override: Boolean(override) });
+    if (!linked) {
+      return res.status(409).json({
+        success: false,
+        message: 'The profile was linked to another account in the meantime'
+      });
+    }
+
+    console.log(`🔗 Practitioner ${linked.name} linked to account ${claim.claimant} by ${req.user.email}${override ? ' (override)' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim approved and profile linked',
+      data: claim
+    });
+  } catch (err) {
+    console.error('❌ Error approving practitioner claim:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving practitioner claim'
+    });
+  }
+});
+
+// @desc    Reject a claim; the claimant is emailed the note
+// @route   POST /api/practitioner-claims/:id/reject  { note }
+// @access  Private (requires practitioners:link)
+router.post('/:id/reject', requireCan('link', 'practitioners'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const claim = await PractitionerClaim.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: PractitionerClaim.OPEN_STATUSES } },
+      {
+        status: 'rejected',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    );
+
+    if (!claim) {
+      const existing = await PractitionerClaim.findById(req.params.id).select('status');
+      if (!existing) {
+        return notFound(res);
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Claim has already been ${existing.status}`
+      });
+    }
+
+    const practitioner = await Practitioner.findById(claim.practitioner).select('name');
+    if (practitioner) {
+      await practitionerClaims.notifyClaimant(claim, practitioner, 'practitionerClaimRejected', { reason: claim.reviewNote });
+    }
+
+    console.log(`🚫 Practitioner claim ${claim._id} rejected by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Claim rejected',
+      data: claim
+    });
+  } catch (err) {
+    console.error('❌ Error rejecting practitioner claim:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting practitioner claim'
+    });
+  }
+});
+
+module.exports = router;
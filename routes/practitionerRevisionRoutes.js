@@ -0,0 +1,263 @@
+// File: routes/practitionerRevisionRoutes.js
+// Moderation queue for profile edits practitioners propose through /api/me
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Practitioner = require('../models/Practitioner');
+const PractitionerRevision = require('../models/PractitionerRevision');
+const User = require('../models/User');
+const { authenticateToken, requireUserAccount, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { sendMail, appUrl } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { conflicts } = require('../utils/practitionerRevisions');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Revision not found'
+});
+
+// Tell the practitioner how their revision was decided
+const notifySubmitter = async (revision, template, details) => {
+  const submitter = await User.findById(revision.submittedBy).select('name email');
+  if (!submitter) return;
+
+  sendMail({ to: submitter.email, ...emailTemplates[template]({ name: submitter.name, ...details }) })
+    .catch(mailErr => console.error(`❌ Failed to send ${template} email:`, mailErr.message));
+};
+
+// @desc    Moderation queue, oldest first (defaults to pending revisions)
+// @route   GET /api/practitioner-revisions?status=&practitioner=&page=&limit=
+// @access  Private (requires practitioners:moderate)
+router.get('/', requireCan('moderate', 'practitioners'), async (req, res) => {
+  try {
+    const { status = 'pending', practitioner, page = 1, limit = 50 } = req.query;
+    const filter = {};
+
+    if (status !== 'all') filter.status = String(status);
+    if (practitioner) {
+      if (!mongoose.isValidObjectId(practitioner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid practitioner id'
+        });
+      }
+      filter.practitioner = practitioner;
+    }
+
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+    const revisions = await PractitionerRevision.find(filter)
+      .populate('practitioner', 'name slug')
+      .populate('submittedBy', 'name email')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: 1 })
+      .limit(pageSize)
+      .skip((parseInt(page) - 1) * pageSize);
+
+    const totalCount = await PractitionerRevision.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      totalCount,
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(totalCount / pageSize)
+    });
+  } catch (err) {
+    console.error('❌ Error fetching profile revisions:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile revisions'
+    });
+  }
+});
+
+// @desc    One revision, with any fields staff have changed since it was submitted
+// @route   GET /api/practitioner-revisions/:id
+// @access  Private (requires practitioners:moderate)
+router.get('/:id', requireCan('moderate', 'practitioners'), async (req, res) => {
+  try {
+    const revision = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerRevision.findById(req.params.id)
+        .populate('submittedBy', 'name email')
+        .populate('reviewedBy', 'name email')
+      : null;
+
+    if (!revision) {
+      return notFound(res);
+    }
+
+    const practitioner = await Practitioner.findById(revision.practitioner);
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+      practitioner: practitioner ? { id: practitioner._id, name: practitioner.name, slug: practitioner.slug } : null,
+      conflicts: practitioner && revision.status === 'pending' ? conflicts(revision, practitioner) : []
+    });
+  } catch (err) {
+    console.error('❌ Error fetching profile revision:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching profile revision'
+    });
+  }
+});
+
+// @desc    Approve a revision and apply it to the live profile. If staff have
+//          changed the same fields since, send { force: true } to overwrite them.
+// @route   POST /api/practitioner-revisions/:id/approve  { note, force }
+// @access  Private (requires practitioners:moderate)
+router.post('/:id/approve', requireCan('moderate', 'practitioners'), async (req, res) => {
+  try {
+    const revision = mongoose.isValidObjectId(req.params.id)
+      ? await PractitionerRevision.findById(req.params.id)
+      : null;
+
+    if (!revision) {
+      return notFound(res);
+    }
+
+    if (revision.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `Revision has already been ${revision.status}`
+      });
+    }
+
+    const practitioner = await Practitioner.findById(revision.practitioner);
+    if (!practitioner) {
+      return res.status(409).json({
+        success: false,
+        message: 'The practitioner for this revision no longer exists'
+      });
+    }
+
+    const overwritten = conflicts(revision, practitioner);
+    if (overwritten.length > 0 && !req.body.force) {
+      return res.status(409).json({
+        success: false,
+        code: 'REVISION_CONFLICT',
+        message: 'The profile has changed since this revision was submitted. Review the conflicts and approve with force to overwrite them.',
+        conflicts: overwritten
+      });
+    }
+
+    // Claim the revision first so it can't be approved twice
+    const claimed = await PractitionerRevision.findOneAndUpdate(
+      { _id: revision._id, status: 'pending' },
+      {
+        status: 'approved',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revision has already been decided'
+      });
+    }
+
+    let updated;
+    try {
+      updated = await Practitioner.findByIdAndUpdate(
+        practitioner._id,
+        { ...claimed.proposed, updatedBy: req.user.id },
+        { new: true, runValidators: true }
+      );
+    } catch (applyErr) {
+      // Put the revision back in the queue if it can't be applied
+      await PractitionerRevision.updateOne(
+        { _id: claimed._id },
+        { status: 'pending', reviewedBy: null, reviewedAt: null, reviewNote: null }
+      );
+      throw applyErr;
+    }
+
+    console.log(`✅ Profile revision ${claimed._id} for ${practitioner.name} approved by ${req.user.email}`);
+
+    await notifySubmitter(claimed, 'practitionerProfileApproved', { loginUrl: appUrl('/login') });
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision approved and applied',
+      data: claimed,
+      practitioner: updated
+    });
+  } catch (err) {
+    console.error('❌ Error approving profile revision:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: `Validation error: ${messages.join(', ')}`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving profile revision'
+    });
+  }
+});
+
+// @desc    Reject a revision; the practitioner is emailed the note
+// @route   POST /api/practitioner-revisions/:id/reject  { note }
+// @access  Private (requires practitioners:moderate)
+router.post('/:id/reject', requireCan('moderate', 'practitioners'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return notFound(res);
+    }
+
+    const revision = await PractitionerRevision.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    );
+
+    if (!revision) {
+      const existing = await PractitionerRevision.findById(req.params.id).select('status');
+      if (!existing) {
+        return notFound(res);
+      }
+      return res.status(409).json({
+        success: false,
+        message: `Revision has already been ${existing.status}`
+      });
+    }
+
+    console.log(`❌ Profile revision ${revision._id} rejected by ${req.user.email}`);
+
+    await notifySubmitter(revision, 'practitionerProfileRejected', { reason: revision.reviewNote });
+
+    res.status(200).json({
+      success: true,
+      message: 'Revision rejected',
+      data: revision
+    });
+  } catch (err) {
+    console.error('❌ Error rejecting profile revision:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting profile revision'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,21 @@
 const express = require('express');
 const router = express.Router();
 const Practitioner = require('../models/Practitioner');
-const { authenticateToken, requireEmployee } = require('../middleware/authMiddleware');
+const { authenticateToken, requireCan, requireUserAccount } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { requestApproval, pendingResponse } = require('../utils/approvals');
+const { recordRead, recordReads } = require('../utils/readAudit');
+const { scheduleErrors } = require('../utils/availability');
+const { parseLocations, labels } = require('../utils/locations');
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(auditMutations);
 
 // @desc    Get all practitioners
 // @route   GET /api/practitioners
-// @access  Private (All employees can access)
-router.get('/', requireEmployee, async (req, res) => {
+// @access  Private (requires practitioners:read)
+router.get('/', requireCan('read', 'practitioners'), async (req, res) => {
   try {
     // Build query
     let query = {};
@@ -31,9 +37,11 @@ router.get('/', requireEmployee, async (req, res) => {
       query.specialty = req.query.specialty;
     }
     
-    // Filter by location
+    // Filter by location, by city or label as in the public directory
     if (req.query.location) {
-      query.locations = req.query.location;
+      query.$and = [{
+        $or: [{ 'locations.city': req.query.location }, { 'locations.label': req.query.location }]
+      }];
     }
     
     // Filter by status
@@ -62,6 +70,8 @@ router.get('/', requireEmployee, async (req, res) => {
     
     console.log(`📊 Practitioners query result: ${practitioners.length} practitioners, ${totalCount} total`);
     
+    await recordReads(req, 'Practitioner', practitioners);
+    
     res.status(200).json({
       success: true,
       count: practitioners.length,
@@ -84,8 +94,8 @@ router.get('/', requireEmployee, async (req, res) => {
 
 // @desc    Get single practitioner
 // @route   GET /api/practitioners/:id
-// @access  Private (All employees can access)
-router.get('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires practitioners:read)
+router.get('/:id', requireCan('read', 'practitioners'), async (req, res) => {
   try {
     const practitioner = await Practitioner.findById(req.params.id);
     
@@ -96,6 +106,8 @@ router.get('/:id', requireEmployee, async (req, res) => {
       });
     }
     
+    await recordRead(req, 'Practitioner', practitioner);
+    
     res.status(200).json({
       success: true,
       data: practitioner
@@ -120,8 +132,8 @@ router.get('/:id', requireEmployee, async (req, res) => {
 
 // @desc    Create new practitioner
 // @route   POST /api/practitioners
-// @access  Private (All employees can create)
-router.post('/', requireEmployee, async (req, res) => {
+// @access  Private (requires practitioners:create)
+router.post('/', requireCan('create', 'practitioners'), async (req, res) => {
   try {
     console.log('📝 Creating new practitioner with data:', req.body);
     console.log('👤 User creating practitioner:', req.user.email, req.user.role);
@@ -136,6 +148,24 @@ router.post('/', requireEmployee, async (req, res) => {
       });
     }
     
+    const parsedLocations = parseLocations(locations);
+    if (parsedLocations.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Validation error: ${parsedLocations.errors.join(', ')}`
+      });
+    }
+    
+    if (req.body.schedule !== undefined) {
+      const errors = scheduleErrors(req.body.schedule, labels(parsedLocations.locations));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${errors.join(', ')}`
+        });
+      }
+    }
+    
     // Prepare practitioner data
     const practitionerData = {
       name: name.trim(),
@@ -143,7 +173,7 @@ router.post('/', requireEmployee, async (req, res) => {
       specialty,
       experience: experience.trim(),
       bio: bio.trim(),
-      locations: Array.isArray(locations) ? locations : [],
+      locations: parsedLocations.locations,
       email: email.trim().toLowerCase(),
       phone: phone.trim(),
       address: req.body.address ? req.body.address.trim() : '',
@@ -156,6 +186,7 @@ router.post('/', requireEmployee, async (req, res) => {
       paymentOptions: Array.isArray(req.body.paymentOptions) ? req.body.paymentOptions : [],
       sessionTypes: Array.isArray(sessionTypes) ? sessionTypes : [],
       availability: req.body.availability ? req.body.availability.trim() : '',
+      schedule: req.body.schedule,
       education: req.body.education ? req.body.education.trim() : '',
       imageUrl: req.body.imageUrl || '',
       isFeatured: Boolean(req.body.isFeatured),
@@ -190,7 +221,9 @@ router.post('/', requireEmployee, async (req, res) => {
     if (err.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Practitioner with this email already exists'
+        message: err.keyPattern && err.keyPattern.slug
+          ? 'Another practitioner just took this name\'s URL. Please try again.'
+          : 'Practitioner with this email already exists'
       });
     }
     
@@ -203,8 +236,8 @@ router.post('/', requireEmployee, async (req, res) => {
 
 // @desc    Update practitioner
 // @route   PUT /api/practitioners/:id
-// @access  Private (All employees can update)
-router.put('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires practitioners:update)
+router.put('/:id', requireCan('update', 'practitioners'), async (req, res) => {
   try {
     console.log(`📝 Updating practitioner ${req.params.id} with data:`, req.body);
     console.log('👤 User updating practitioner:', req.user.email, req.user.role);
@@ -226,7 +259,16 @@ router.put('/:id', requireEmployee, async (req, res) => {
     if (req.body.specialty !== undefined) updateData.specialty = req.body.specialty;
     if (req.body.experience !== undefined) updateData.experience = req.body.experience.trim();
     if (req.body.bio !== undefined) updateData.bio = req.body.bio.trim();
-    if (req.body.locations !== undefined) updateData.locations = Array.isArray(req.body.locations) ? req.body.locations : [];
+    if (req.body.locations !== undefined) {
+      const { locations, errors } = parseLocations(req.body.locations);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${errors.join(', ')}`
+        });
+      }
+      updateData.locations = locations;
+    }
     if (req.body.email !== undefined) updateData.email = req.body.email.trim().toLowerCase();
     if (req.body.phone !== undefined) updateData.phone = req.body.phone.trim();
     if (req.body.address !== undefined) updateData.address = req.body.address ? req.body.address.trim() : '';
@@ -241,11 +283,26 @@ router.put('/:id', requireEmployee, async (req, res) => {
     if (req.body.paymentOptions !== undefined) updateData.paymentOptions = Array.isArray(req.body.paymentOptions) ? req.body.paymentOptions : [];
     if (req.body.sessionTypes !== undefined) updateData.sessionTypes = Array.isArray(req.body.sessionTypes) ? req.body.sessionTypes : [];
     if (req.body.availability !== undefined) updateData.availability = req.body.availability ? req.body.availability.trim() : '';
+    if (req.body.schedule !== undefined) {
+      const errors = scheduleErrors(req.body.schedule, labels(updateData.locations || practitioner.locations));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Validation error: ${errors.join(', ')}`
+        });
+      }
+      updateData.schedule = req.body.schedule;
+    }
     if (req.body.education !== undefined) updateData.education = req.body.education ? req.body.education.trim() : '';
     if (req.body.imageUrl !== undefined) updateData.imageUrl = req.body.imageUrl || '';
     if (req.body.isFeatured !== undefined) updateData.isFeatured = Boolean(req.body.isFeatured);
     if (req.body.status !== undefined) updateData.status = req.body.status;
     
+    // A rename moves the practitioner to a new slug; the old one keeps redirecting
+    if (updateData.name) {
+      Object.assign(updateData, await practitioner.slugChangesFor(updateData.name));
+    }
+    
     // Track who updated the practitioner
     updateData.updatedBy = req.user.id;
     
@@ -292,7 +349,9 @@ router.put('/:id', requireEmployee, async (req, res) => {
     if (err.code === 11000) {
       return res.status(400).json({
         success: false,
-        message: 'Practitioner with this email already exists'
+        message: err.keyPattern && err.keyPattern.slug
+          ? 'Another practitioner just took this name\'s URL. Please try again.'
+          : 'Practitioner with this email already exists'
       });
     }
     
@@ -303,10 +362,10 @@ router.put('/:id', requireEmployee, async (req, res) => {
   }
 });
 
-// @desc    Delete practitioner
+// @desc    Request practitioner deletion; runs once a second employee approves it
 // @route   DELETE /api/practitioners/:id
-// @access  Private (All employees can delete)
-router.delete('/:id', requireEmployee, async (req, res) => {
+// @access  Private (requires practitioners:delete)
+router.delete('/:id', requireCan('delete', 'practitioners'), requireUserAccount, async (req, res) => {
   try {
     console.log(`🗑️ Deleting practitioner ${req.params.id}`);
     console.log('👤 User deleting practitioner:', req.user.email, req.user.role);
@@ -320,16 +379,14 @@ router.delete('/:id', requireEmployee, async (req, res) => {
       });
     }
     
-    // Delete the practitioner
-    await Practitioner.findByIdAndDelete(req.params.id);
-    
-    console.log('✅ Practitioner deleted successfully by', req.user.email, ':', req.params.id);
+    // Runs through /api/approvals once a second employee approves it
+    const approval = await requestApproval('practitioners.delete', {
+      target: practitioner._id,
+      summary: `Delete practitioner ${practitioner.name}`,
+      reason: req.body && req.body.reason
+    }, req.user);
     
-    res.status(200).json({
-      success: true,
-      message: 'Practitioner deleted successfully',
-      data: {}
-    });
+    res.status(202).json(pendingResponse(approval));
   } catch (err) {
     console.error('❌ Error deleting practitioner:', err);
     
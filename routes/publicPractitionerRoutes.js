@@ -2,9 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const Practitioner = require('../models/Practitioner');
+const Appointment = require('../models/Appointment');
+const availability = require('../utils/availability');
+const appointments = require('../utils/appointments');
+const geo = require('../utils/locations');
+const directorySearch = require('../utils/directorySearch');
 
-// @desc    Get all active practitioners for public directory
-// @route   GET /api/public/practitioners  
+const DIRECTORY_FIELDS = 'name slug title specialty experience bio locations email phone fees insurances paymentOptions sessionTypes schedule isFeatured imageUrl status';
+
+// @desc    Search active practitioners for the public directory, one page at a
+//          time, with facet counts (see utils/directorySearch.js for filters).
+//          With ?near= or ?postcode= only practitioners within radius km
+//          (default 25) are returned, closest first, with the distance to
+//          their nearest location.
+// @route   GET /api/public/practitioners?specialty=&location=&insurance=&paymentOption=&sessionType=&minFee=&maxFee=&page=&limit=&near=lat,lng|postcode=&radius=km
 // @access  Public
 router.get('/', async (req, res) => {
   try {
@@ -12,9 +23,30 @@ router.get('/', async (req, res) => {
     
     const startTime = performance.now();
     
-    // CRITICAL: Simple query for free tier - let frontend handle complex filtering
+    // Base query; the facet filters below are applied inside the aggregation
     const query = { status: 'active' };
     
+    // Schedule filters: ?day=tue&timeOfDay=evening&acceptingNewClients=true
+    const day = availability.parseDay(req.query.day);
+    if (req.query.day && day === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'day must be a day name or 0-6'
+      });
+    }
+    if (req.query.timeOfDay && !availability.TIMES_OF_DAY[req.query.timeOfDay]) {
+      return res.status(400).json({
+        success: false,
+        message: `timeOfDay must be one of: ${Object.keys(availability.TIMES_OF_DAY).join(', ')}`
+      });
+    }
+    if (day !== null || req.query.timeOfDay) {
+      Object.assign(query, availability.directoryFilter({ day, timeOfDay: req.query.timeOfDay }));
+    }
+    if (req.query.acceptingNewClients === 'true') {
+      query['schedule.acceptingNewClients'] = { $ne: false };
+    }
+    
     // Only add search if provided (most expensive operation)
     if (req.query.search && req.query.search.trim()) {
       query.$or = [
@@ -24,19 +56,71 @@ router.get('/', async (req, res) => {
       ];
     }
     
-    console.log('📊 Database query:', query);
+    const { origin, error } = geo.searchOrigin(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const search = directorySearch.parseQuery(req.query);
+    if (search.error) {
+      return res.status(400).json({
+        success: false,
+        message: search.error
+      });
+    }
     
-    // OPTIMIZED: Get all practitioners at once, let frontend filter
-    const practitioners = await Practitioner
-      .find(query)
-      .select('name title specialty experience bio locations email phone fees insurances paymentOptions sessionTypes isFeatured imageUrl status')
-      .sort({ isFeatured: -1, name: 1 })
-      .limit(100) // Reasonable limit for free tier
-      .lean() // Return plain objects for speed
-      .exec();
+    console.log('📊 Database query:', query, search.filters);
+    
+    // Distance search runs on the 2dsphere index over locations.point and
+    // reports how far away each practitioner's nearest location is
+    const project = Object.fromEntries(DIRECTORY_FIELDS.split(' ').map(field => [field, 1]));
+    const pipeline = origin
+      ? [
+        {
+          $geoNear: {
+            near: geo.point(origin.latitude, origin.longitude),
+            key: 'locations.point',
+            distanceField: 'distanceMeters',
+            includeLocs: 'nearestPoint',
+            maxDistance: origin.radiusKm * 1000,
+            spherical: true,
+            query
+          }
+        },
+        directorySearch.facetStage({
+          ...search,
+          sort: { distanceMeters: 1, _id: 1 },
+          project: { ...project, distanceMeters: 1, nearestPoint: 1 }
+        })
+      ]
+      : [
+        { $match: query },
+        directorySearch.facetStage({
+          ...search,
+          sort: { isFeatured: -1, name: 1, _id: 1 },
+          project
+        })
+      ];
+    
+    const [output] = await Practitioner.aggregate(pipeline);
+    const { results, totalCount, facets } = directorySearch.shapeResult(output, search.filters);
+    
+    const practitioners = origin
+      ? results.map(({ distanceMeters, nearestPoint, ...practitioner }) => {
+        const nearest = geo.matchingLocation(practitioner.locations, nearestPoint);
+        return {
+          ...practitioner,
+          distanceKm: Math.round(distanceMeters / 100) / 10,
+          nearestLocation: nearest ? nearest.label : null
+        };
+      })
+      : results;
     
     const duration = performance.now() - startTime;
-    console.log(`✅ Found ${practitioners.length} practitioners in ${duration.toFixed(0)}ms`);
+    console.log(`✅ Found ${totalCount} practitioners (page ${search.page}) in ${duration.toFixed(0)}ms`);
     
     // Add cache headers
     res.set({
@@ -48,7 +132,12 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       count: practitioners.length,
+      totalCount,
+      currentPage: search.page,
+      totalPages: Math.ceil(totalCount / search.limit),
       data: practitioners,
+      facets,
+      origin: origin || undefined,
       cached: false,
       responseTime: `${duration.toFixed(0)}ms`
     });
@@ -74,6 +163,61 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @desc    Get single practitioner details by slug. Slugs from before a rename
+//          answer 301 with the current slug.
+// @route   GET /api/public/practitioners/slug/:slug
+// @access  Public
+router.get('/slug/:slug', async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    
+    const practitioner = await Practitioner
+      .findOne({ slug, status: 'active' })
+      .select('-slugHistory')
+      .lean();
+    
+    if (practitioner) {
+      res.set({
+        'Cache-Control': 'public, max-age=600', // 10 minutes
+        'ETag': `"practitioner-${practitioner._id}"`
+      });
+      
+      return res.json({
+        success: true,
+        data: practitioner
+      });
+    }
+    
+    // Renamed since: point to the current slug
+    const renamed = await Practitioner
+      .findOne({ slugHistory: slug, status: 'active' })
+      .select('slug')
+      .lean();
+    
+    if (renamed && renamed.slug) {
+      const location = `${req.baseUrl}/slug/${renamed.slug}`;
+      res.set('Location', location);
+      return res.status(301).json({
+        success: true,
+        redirect: true,
+        slug: renamed.slug,
+        location
+      });
+    }
+    
+    res.status(404).json({
+      success: false,
+      message: 'Practitioner not found'
+    });
+  } catch (error) {
+    console.error('❌ Error fetching practitioner by slug:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get single practitioner details
 // @route   GET /api/public/practitioners/:id
 // @access  Public
@@ -124,6 +268,226 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Open appointment slots between two dates (default: the next 14 days)
+// @route   GET /api/public/practitioners/:id/slots?from=&to=&location=
+// @access  Public
+router.get('/:id/slots', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates, with to after from'
+      });
+    }
+    
+    if (to - from > availability.MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Slots can be requested for at most ${availability.MAX_SLOT_RANGE_DAYS} days at a time`
+      });
+    }
+    
+    const practitioner = await Practitioner
+      .findOne({
+        _id: req.params.id,
+        status: 'active'
+      })
+      .select('name slug locations schedule')
+      .lean();
+    
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+    
+    const location = req.query.location ? String(req.query.location) : undefined;
+    const busy = await appointments.busyRanges(practitioner._id, from, to);
+    const slots = availability.openSlots(practitioner, from, to, { location, busy });
+    
+    res.set('Cache-Control', 'public, max-age=60');
+    
+    res.json({
+      success: true,
+      timezone: availability.timezoneOf(practitioner),
+      acceptingNewClients: !practitioner.schedule || practitioner.schedule.acceptingNewClients !== false,
+      from,
+      to,
+      count: slots.length,
+      data: slots
+    });
+  } catch (error) {
+    console.error('❌ Error computing practitioner slots:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId' || error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @desc    Request an appointment. It stays 'requested' until staff confirm it.
+// @route   POST /api/public/practitioners/:id/appointments
+// @access  Public
+router.post('/:id/appointments', async (req, res) => {
+  try {
+    const { sessionType, location, start, name, email, phone, notes } = req.body;
+    
+    if (!sessionType || !start || !name || !email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: sessionType, start, name, email'
+      });
+    }
+    
+    const practitioner = await Practitioner
+      .findOne({
+        _id: req.params.id,
+        status: 'active'
+      })
+      .select('name email locations sessionTypes schedule')
+      .lean();
+    
+    if (!practitioner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+    
+    if (practitioner.schedule && practitioner.schedule.acceptingNewClients === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'This practitioner is not accepting new clients'
+      });
+    }
+    
+    if (!(practitioner.sessionTypes || []).includes(sessionType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Session type must be one of: ${(practitioner.sessionTypes || []).join(', ')}`
+      });
+    }
+    
+    // Practitioners at a single location don't make the patient choose
+    const locations = geo.labels(practitioner.locations);
+    const chosenLocation = location || (locations.length === 1 ? locations[0] : null);
+    if (locations.length > 0 && !locations.includes(chosenLocation)) {
+      return res.status(400).json({
+        success: false,
+        message: `Location must be one of: ${locations.join(', ')}`
+      });
+    }
+    
+    const startsAt = new Date(start);
+    if (isNaN(startsAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'start must be a valid date'
+      });
+    }
+    
+    // Each request emails the patient and the practitioner, so limit them per client and address
+    const limit = await appointments.checkRequestLimit(req.ip, email);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many appointment requests. Please try again later.',
+        retryAfterSeconds: limit.retryAfterSeconds
+      });
+    }
+    
+    // Checked and written under the practitioner's lock so overlapping
+    // requests can't both get through
+    const { slotError, appointment } = await appointments.withPractitionerLock(practitioner._id, async () => {
+      const error = await appointments.slotError(practitioner, startsAt, chosenLocation);
+      if (error) return { slotError: error };
+      
+      return {
+        appointment: await Appointment.create({
+          practitioner: practitioner._id,
+          sessionType,
+          location: chosenLocation,
+          start: startsAt,
+          end: new Date(startsAt.getTime() + appointments.durationMinutes(practitioner) * 60000),
+          holdExpiresAt: appointments.holdExpiresAt(),
+          patient: { name, email, phone },
+          notes,
+          history: [{ action: 'requested' }]
+        })
+      };
+    });
+    
+    if (slotError) {
+      return res.status(409).json({
+        success: false,
+        message: slotError
+      });
+    }
+    
+    console.log(`📅 Appointment requested with ${practitioner.name} for ${startsAt.toISOString()}`);
+    
+    await appointments.notify('appointmentRequested', appointment, practitioner);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Appointment requested. You will receive an email once it has been confirmed.',
+      data: {
+        id: appointment._id,
+        status: appointment.status,
+        sessionType: appointment.sessionType,
+        location: appointment.location,
+        start: appointment.start,
+        end: appointment.end
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error requesting appointment:', error);
+    
+    // Handle invalid ObjectId
+    if (error.kind === 'ObjectId' || (error.name === 'CastError' && error.path === '_id')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Practitioner not found'
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+    
+    // Someone else requested the same slot at the same moment
+    if (error.code === 11000 || error.code === 'BOOKING_BUSY') {
+      return res.status(409).json({
+        success: false,
+        message: 'That time has already been booked'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @desc    Get featured practitioners
 // @route   GET /api/public/practitioners/featured
 // @access  Public  
@@ -136,7 +500,7 @@ router.get('/featured/list', async (req, res) => {
         status: 'active',
         isFeatured: true
       })
-      .select('name title specialty experience bio locations email phone fees sessionTypes imageUrl')
+      .select('name slug title specialty experience bio locations email phone fees sessionTypes imageUrl')
       .limit(5)
       .lean();
     
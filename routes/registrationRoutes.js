@@ -0,0 +1,148 @@
+// File: routes/registrationRoutes.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { authenticateToken, requireUserAccount, requireCan } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const { sendMail, appUrl } = require('../utils/mailer');
+const emailTemplates = require('../utils/emailTemplates');
+const { recordReads } = require('../utils/readAudit');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(auditMutations);
+
+// Load a signup that is still waiting for a decision
+const findPendingRegistration = (id) => {
+  return User.findOne({ _id: id, status: 'pending', registrationSource: 'self' });
+};
+
+// @desc    List practitioner signups awaiting approval
+// @route   GET /api/registrations
+// @access  Private (requires registrations:read)
+router.get('/', requireCan('read', 'registrations'), async (req, res) => {
+  try {
+    const registrations = await User.find({ status: 'pending', registrationSource: 'self' })
+      .select('name email role isEmailVerified createdAt')
+      .sort({ createdAt: 1 });
+
+    await recordReads(req, 'User', registrations);
+
+    res.status(200).json({
+      success: true,
+      count: registrations.length,
+      data: registrations
+    });
+  } catch (err) {
+    console.error('❌ Error fetching registrations:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching registrations'
+    });
+  }
+});
+
+// @desc    Approve a practitioner signup
+// @route   POST /api/registrations/:id/approve
+// @access  Private (requires registrations:approve)
+router.post('/:id/approve', requireCan('approve', 'registrations'), async (req, res) => {
+  try {
+    const user = await findPendingRegistration(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    user.status = 'active';
+    user.registrationReview = {
+      decision: 'approved',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+    await user.save({ validateModifiedOnly: true });
+
+    console.log('✅ Registration approved by', req.user.email, ':', user.email);
+
+    sendMail({ to: user.email, ...emailTemplates.registrationApproved({ name: user.name, loginUrl: appUrl('/login') }) })
+      .catch(mailErr => console.error('❌ Failed to send approval email:', mailErr.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration approved',
+      data: { id: user._id, email: user.email, status: user.status }
+    });
+  } catch (err) {
+    console.error('❌ Error approving registration:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while approving registration'
+    });
+  }
+});
+
+// @desc    Reject a practitioner signup
+// @route   POST /api/registrations/:id/reject
+// @access  Private (requires registrations:approve)
+router.post('/:id/reject', requireCan('approve', 'registrations'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const user = await findPendingRegistration(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    user.status = 'inactive';
+    user.registrationReview = {
+      decision: 'rejected',
+      reviewedBy: req.user.id,
+      reviewedAt: new Date(),
+      reason: reason ? String(reason).trim() : undefined
+    };
+    await user.save({ validateModifiedOnly: true });
+
+    console.log('🚫 Registration rejected by', req.user.email, ':', user.email);
+
+    sendMail({ to: user.email, ...emailTemplates.registrationRejected({ name: user.name, reason: user.registrationReview.reason }) })
+      .catch(mailErr => console.error('❌ Failed to send rejection email:', mailErr.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Registration rejected',
+      data: { id: user._id, email: user.email, status: user.status }
+    });
+  } catch (err) {
+    console.error('❌ Error rejecting registration:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending registration not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting registration'
+    });
+  }
+});
+
+module.exports = router;
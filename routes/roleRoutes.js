@@ -0,0 +1,333 @@
+// File: routes/roleRoutes.js
+const express = require('express');
+const router = express.Router();
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { authenticateToken, requireUserAccount, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const policy = require('../utils/policy');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+router.use(requireUserAccount);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
+
+// Reject unknown permission strings; returns the invalid ones
+const invalidPermissions = (permissions) => {
+  return (permissions || []).filter(permission => !policy.isValidPermission(permission));
+};
+
+// @desc    List all roles
+// @route   GET /api/roles
+// @access  Private (requires roles:read)
+router.get('/', requireCan('read', 'roles'), async (req, res) => {
+  try {
+    const roles = await policy.listRoles();
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({
+        name: role.name,
+        displayName: role.displayName,
+        description: role.description,
+        permissions: role.permissions,
+        isEmployee: Boolean(role.isEmployee),
+        isSystem: Boolean(role.isSystem),
+        userCount: countByRole[role.name] || 0
+      }))
+    });
+  } catch (err) {
+    console.error('❌ Error fetching roles:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching roles'
+    });
+  }
+});
+
+// @desc    List every grantable permission
+// @route   GET /api/roles/permissions
+// @access  Private (requires roles:read)
+router.get('/permissions', requireCan('read', 'roles'), (req, res) => {
+  const permissions = [];
+  Object.entries(policy.PERMISSION_REGISTRY).forEach(([resource, actions]) => {
+    Object.entries(actions).forEach(([action, description]) => {
+      permissions.push({ permission: `${resource}:${action}`, resource, action, description });
+    });
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      permissions,
+      legacy: policy.LEGACY_PERMISSIONS
+    }
+  });
+});
+
+// @desc    Effective permissions of a user (role plus direct grants)
+// @route   GET /api/roles/users/:userId/permissions
+// @access  Private (requires roles:read)
+router.get('/users/:userId/permissions', requireCan('read', 'roles'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email role permissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const granted = await policy.effectivePermissions(user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions,
+        effectivePermissions: [...granted].sort()
+      }
+    });
+  } catch (err) {
+    console.error('❌ Error fetching user permissions:', err);
+
+    // Handle invalid ObjectId
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching permissions'
+    });
+  }
+});
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (requires roles:manage)
+router.post('/', requireCan('manage', 'roles'), async (req, res) => {
+  try {
+    const { name, displayName, description, permissions = [], isEmployee = true } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name is required'
+      });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array'
+      });
+    }
+
+    const invalid = invalidPermissions(permissions);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${invalid.join(', ')}`
+      });
+    }
+
+    if (await policy.roleExists(String(name).trim().toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with that name already exists'
+      });
+    }
+
+    // Nobody can create a role with more access than they hold themselves
+    if (!(await policy.canGrant(req.user, { permissions }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      displayName: displayName || name,
+      description,
+      permissions,
+      isEmployee: Boolean(isEmployee),
+      isSystem: false,
+      createdBy: req.user.id
+    });
+    policy.invalidateRoleCache();
+
+    console.log('✅ Role created by', req.user.email, ':', role.name);
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+  } catch (err) {
+    console.error('❌ Error creating role:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating role'
+    });
+  }
+});
+
+// @desc    Update a role's display name, description or permissions
+// @route   PUT /api/roles/:name
+// @access  Private (requires roles:manage)
+router.put('/:name', requireCan('manage', 'roles'), async (req, res) => {
+  try {
+    const { displayName, description, permissions, isEmployee } = req.body;
+
+    // The admin role always keeps full access so the system can't be locked out
+    if (req.params.name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role cannot be changed'
+      });
+    }
+
+    const role = await Role.findOne({ name: req.params.name });
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (permissions !== undefined) {
+      if (!Array.isArray(permissions)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Permissions must be an array'
+        });
+      }
+
+      const invalid = invalidPermissions(permissions);
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown permissions: ${invalid.join(', ')}`
+        });
+      }
+
+      // Both the old and the new permission sets must be within the editor's reach
+      const allowed = await policy.canGrant(req.user, { permissions }) &&
+        await policy.canGrant(req.user, { permissions: role.permissions });
+      if (!allowed) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+
+      role.permissions = permissions;
+    }
+
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    // Built-in roles keep their employee/non-employee split
+    if (isEmployee !== undefined && !role.isSystem) role.isEmployee = Boolean(isEmployee);
+
+    await role.save();
+    policy.invalidateRoleCache();
+
+    console.log('✏️ Role updated by', req.user.email, ':', role.name);
+
+    res.status(200).json({
+      success: true,
+      data: role
+    });
+  } catch (err) {
+    console.error('❌ Error updating role:', err);
+
+    if (err.name === 'ValidationError') {
+      const messages = Object.values(err.errors).map(val => val.message);
+      return res.status(400).json({
+        success: false,
+        message: messages.join(', ')
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating role'
+    });
+  }
+});
+
+// @desc    Delete a custom role that nobody holds
+// @route   DELETE /api/roles/:name
+// @access  Private (requires roles:manage)
+router.delete('/:name', requireCan('manage', 'roles'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${holders} user(s). Reassign them first.`
+      });
+    }
+
+    if (!(await policy.canGrant(req.user, { permissions: role.permissions }))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete a role with permissions you do not have'
+      });
+    }
+
+    await role.deleteOne();
+    policy.invalidateRoleCache();
+
+    console.log('🗑️ Role deleted by', req.user.email, ':', role.name);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (err) {
+    console.error('❌ Error deleting role:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting role'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,10 +5,14 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const crypto = require('crypto');
-const { authenticateToken, authorize } = require('../middleware/authMiddleware');
+const { authenticateToken, requireCan, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { auditMutations } = require('../middleware/auditMiddleware');
+const audit = require('../utils/audit');
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
+router.use(requireVerifiedEmail);
+router.use(auditMutations);
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(process.cwd(), 'uploads');
@@ -92,8 +96,8 @@ const handleMulterError = (err, req, res, next) => {
 
 // @desc    Upload event image
 // @route   POST /api/upload/event-image
-// @access  Private (Admin only)
-router.post('/event-image', authorize('admin'), upload.single('image'), handleMulterError, async (req, res) => {
+// @access  Private (requires uploads:create)
+router.post('/event-image', requireCan('create', 'uploads'), upload.single('image'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -111,6 +115,19 @@ router.post('/event-image', authorize('admin'), upload.single('image'), handleMu
       size: req.file.size
     });
     
+    // Files aren't documents, so the audit entry is written here
+    await audit.record({
+      action: 'create',
+      targetModel: 'Upload',
+      targetId: req.file.filename,
+      changes: audit.diff({}, {
+        kind: 'event-image',
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype
+      })
+    }, req);
+    
     res.status(200).json({
       success: true,
       message: 'Event image uploaded successfully',
@@ -142,8 +159,8 @@ router.post('/event-image', authorize('admin'), upload.single('image'), handleMu
 
 // @desc    Upload practitioner image
 // @route   POST /api/upload/practitioner-image
-// @access  Private (Admin only)
-router.post('/practitioner-image', authorize('admin'), upload.single('image'), handleMulterError, async (req, res) => {
+// @access  Private (requires uploads:create)
+router.post('/practitioner-image', requireCan('create', 'uploads'), upload.single('image'), handleMulterError, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -161,6 +178,18 @@ router.post('/practitioner-image', authorize('admin'), upload.single('image'), h
       size: req.file.size
     });
     
+    await audit.record({
+      action: 'create',
+      targetModel: 'Upload',
+      targetId: req.file.filename,
+      changes: audit.diff({}, {
+        kind: 'practitioner-image',
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimetype: req.file.mimetype
+      })
+    }, req);
+    
     res.status(200).json({
       success: true,
       message: 'Practitioner image uploaded successfully',
@@ -192,8 +221,8 @@ router.post('/practitioner-image', authorize('admin'), upload.single('image'), h
 
 // @desc    Delete uploaded image
 // @route   DELETE /api/upload/:filename
-// @access  Private (Admin only)
-router.delete('/:filename', authorize('admin'), async (req, res) => {
+// @access  Private (requires uploads:delete)
+router.delete('/:filename', requireCan('delete', 'uploads'), async (req, res) => {
   try {
     const filename = req.params.filename;
     
@@ -220,6 +249,8 @@ router.delete('/:filename', authorize('admin'), async (req, res) => {
     
     console.log('Image deleted:', filename);
     
+    await audit.record({ action: 'delete', targetModel: 'Upload', targetId: filename }, req);
+    
     res.status(200).json({
       success: true,
       message: 'Image deleted successfully'
@@ -235,8 +266,8 @@ router.delete('/:filename', authorize('admin'), async (req, res) => {
 
 // @desc    Get image info
 // @route   GET /api/upload/:filename
-// @access  Private (Admin only)
-router.get('/:filename', authorize('admin'), async (req, res) => {
+// @access  Private (requires uploads:read)
+router.get('/:filename', requireCan('read', 'uploads'), async (req, res) => {
   try {
     const filename = req.params.filename;
     
@@ -0,0 +1,38 @@
+// File: scripts/backfill-practitioner-locations.js
+// Converts free-text practitioner locations into structured ones (the text
+// becomes the label, so schedules and appointments that name it still match)
+// and geocodes every location that has a known postcode against the offline
+// dataset. The server converts free-text locations by itself at startup; run
+// this again after updating the dataset. Safe to run more than once.
+//
+//   npm run backfill-locations
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Practitioner = require('../models/Practitioner');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const { updated, skipped, ungeocoded } = await Practitioner.backfillLocations();
+  skipped.forEach(practitioner => {
+    console.warn(`⚠️ ${practitioner._id} (${practitioner.name}) skipped: ${practitioner.errors.join(', ')}`);
+  });
+  updated.forEach(practitioner => {
+    console.log(`  ${practitioner._id} (${practitioner.name}) → ${practitioner.labels.join(' | ')}`);
+  });
+
+  // The 2dsphere index for near-me search
+  await Practitioner.createIndexes();
+
+  console.log(`✅ Updated ${updated.length} practitioners; ${ungeocoded} locations have no known postcode and won't appear in distance searches`);
+};
+
+run()
+  .catch(err => {
+    console.error('❌ Location backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,44 @@
+// File: scripts/backfill-practitioner-slugs.js
+// Gives every practitioner without a slug one, oldest first so the earliest
+// listing keeps the plain name and later duplicates get "-2", "-3"...
+// Safe to run more than once.
+//
+//   npm run backfill-slugs
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Practitioner = require('../models/Practitioner');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  // Build the unique index before assigning so concurrent creates can't collide
+  await Practitioner.createIndexes();
+
+  const practitioners = await Practitioner.find({ $or: [{ slug: null }, { slug: '' }] })
+    .select('name slug slugHistory createdAt')
+    .sort({ createdAt: 1, _id: 1 });
+
+  console.log(`🔍 ${practitioners.length} practitioners without a slug`);
+
+  let updated = 0;
+  for (const practitioner of practitioners) {
+    const slug = await Practitioner.uniqueSlug(practitioner.name, practitioner._id);
+
+    // updateOne rather than save(): legacy records may not pass full validation
+    await Practitioner.updateOne({ _id: practitioner._id }, { slug });
+    console.log(`  ${practitioner._id} → ${slug}`);
+    updated++;
+  }
+
+  console.log(`✅ Backfilled ${updated} slugs`);
+};
+
+run()
+  .catch(err => {
+    console.error('❌ Slug backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
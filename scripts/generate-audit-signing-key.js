@@ -0,0 +1,32 @@
+// File: scripts/generate-audit-signing-key.js
+// Generates the Ed25519 key pair used to sign audit log exports.
+//
+//   npm run audit-key -- [output directory]
+//
+// Writes audit-signing-key.pem (keep secret; point AUDIT_SIGNING_KEY_FILE at
+// it) and audit-signing-key.pub.pem (give to auditors).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const outputDir = path.resolve(process.argv[2] || '.');
+const privatePath = path.join(outputDir, 'audit-signing-key.pem');
+const publicPath = path.join(outputDir, 'audit-signing-key.pub.pem');
+
+if (fs.existsSync(privatePath)) {
+  console.error(`❌ ${privatePath} already exists; refusing to overwrite it`);
+  process.exit(1);
+}
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+fs.writeFileSync(privatePath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+fs.writeFileSync(publicPath, publicKey.export({ type: 'spki', format: 'pem' }));
+
+const fingerprint = crypto.createHash('sha256')
+  .update(publicKey.export({ type: 'spki', format: 'der' }))
+  .digest('hex');
+
+console.log(`🔑 Private key: ${privatePath}`);
+console.log(`🔑 Public key:  ${publicPath}`);
+console.log(`🔑 Fingerprint: ${fingerprint}`);
@@ -0,0 +1,150 @@
+// File: scripts/mock-oidc-provider.js
+// Minimal OpenID Connect provider for trying single sign-on locally.
+// NOT for production: anyone can sign in as any configured user.
+//
+//   npm run mock-oidc
+//
+// then start the API with
+//
+//   OIDC_ISSUER=http://localhost:4010
+//   OIDC_CLIENT_ID=vha-backend
+//   OIDC_ROLE_MAP=vha-admins=admin,vha-managers=manager,vha-staff=staff
+//   OIDC_DEPARTMENT_MAP=dept-clinical=Clinical,dept-operations=Operations
+//   OIDC_AUTO_CREATE=true
+//
+// and open http://localhost:5000/api/auth/oidc/login. Users come from
+// MOCK_OIDC_USERS (a JSON array of claim objects) or the defaults below.
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4010;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'vha-backend';
+
+const USERS = process.env.MOCK_OIDC_USERS ? JSON.parse(process.env.MOCK_OIDC_USERS) : [
+  { sub: 'mock-admin', email: 'admin@example.test', name: 'Mock Admin', groups: ['vha-admins', 'dept-operations'] },
+  { sub: 'mock-manager', email: 'manager@example.test', name: 'Mock Manager', groups: ['vha-managers', 'dept-clinical'] },
+  { sub: 'mock-staff', email: 'staff@example.test', name: 'Mock Staff', groups: ['vha-staff', 'dept-clinical'] },
+  { sub: 'mock-outsider', email: 'outsider@example.test', name: 'Mock Outsider', groups: [] }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KID = crypto.randomBytes(8).toString('hex');
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const signIdToken = (claims) => {
+  const header = { alg: 'RS256', typ: 'JWT', kid: KID };
+  const input = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(input), privateKey).toString('base64url');
+  return `${input}.${signature}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Pick a user from a list; ?login_hint=<email> skips the page
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge,
+    code_challenge_method: challengeMethod, login_hint: loginHint } = req.query;
+
+  if (clientId !== CLIENT_ID || !redirectUri || !codeChallenge || challengeMethod !== 'S256') {
+    return res.status(400).send('Invalid authorization request (client_id, redirect_uri and S256 PKCE are required)');
+  }
+
+  const user = USERS.find(candidate => candidate.email === loginHint);
+  if (!user) {
+    const links = USERS.map(candidate => {
+      const params = new URLSearchParams({ ...req.query, login_hint: candidate.email });
+      return `<li><a href="/authorize?${escapeHtml(params.toString())}">${escapeHtml(candidate.name)}</a>` +
+        ` &lt;${escapeHtml(candidate.email)}&gt; groups: ${escapeHtml(candidate.groups.join(', ') || 'none')}</li>`;
+    }).join('\n');
+    return res.send(`<h1>Mock identity provider</h1><p>Sign in as:</p><ul>${links}</ul>`);
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, { user, redirectUri, nonce, codeChallenge, expiresAt: Date.now() + 60 * 1000 });
+
+  const target = new URL(redirectUri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  res.redirect(302, target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !pending || pending.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (redirectUri !== pending.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, pending.user);
+
+  res.json({
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: 300,
+    id_token: signIdToken({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + 300,
+      nonce: pending.nonce,
+      email_verified: true,
+      ...pending.user
+    })
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+  const user = accessTokens.get(token);
+  if (!user) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json({ email_verified: true, ...user });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -0,0 +1,55 @@
+// File: scripts/verify-audit-export.js
+// Checks an audit log export offline, without access to the database:
+// the detached signature over the file, then the hash chain inside it.
+//
+//   npm run verify-audit-export -- <export.jsonl> <signature> <public-key.pem>
+//
+// <signature> is the X-Audit-Signature header value, or a file containing it.
+const crypto = require('crypto');
+const fs = require('fs');
+const AuditLog = require('../models/AuditLog');
+
+const [exportPath, signatureArg, publicKeyPath] = process.argv.slice(2);
+
+if (!exportPath || !signatureArg || !publicKeyPath) {
+  console.error('Usage: node scripts/verify-audit-export.js <export.jsonl> <signature> <public-key.pem>');
+  process.exit(2);
+}
+
+const body = fs.readFileSync(exportPath);
+const signature = fs.existsSync(signatureArg) ? fs.readFileSync(signatureArg, 'utf8').trim() : signatureArg;
+const publicKey = crypto.createPublicKey(fs.readFileSync(publicKeyPath));
+
+if (!crypto.verify(null, body, publicKey, Buffer.from(signature, 'base64'))) {
+  console.error('❌ Signature does not match; the export was altered or signed with another key');
+  process.exit(1);
+}
+console.log('✅ Signature valid');
+
+const entries = body.toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+let previous = null;
+for (const entry of entries) {
+  let reason = null;
+  if (previous && entry.seq !== previous.seq + 1) {
+    reason = `expected entry ${previous.seq + 1} but found ${entry.seq}`;
+  } else if (previous && entry.prevHash !== previous.hash) {
+    reason = 'prevHash does not match the previous entry';
+  } else if (entry.hash !== AuditLog.computeHash(entry)) {
+    reason = 'content does not match its hash';
+  }
+
+  if (reason) {
+    console.error(`❌ Chain broken at entry ${entry.seq}: ${reason}`);
+    process.exit(1);
+  }
+  previous = entry;
+}
+
+if (entries.length === 0) {
+  console.log('✅ Export is empty');
+} else {
+  console.log(`✅ Chain intact: entries ${entries[0].seq}-${previous.seq} (${entries.length})`);
+  console.log(`   First entry links to ${entries[0].prevHash}`);
+  console.log(`   Last hash ${previous.hash}`);
+}
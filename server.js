@@ -6,18 +6,46 @@ const dotenv = require('dotenv');
 const path = require('path');
 const compression = require('compression');
 const authRoutes = require('./routes/authRoutes');
+const mfaRoutes = require('./routes/mfaRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
 const practitionerRoutes = require('./routes/practitionerRoutes');
 const eventRoutes = require('./routes/eventRoutes');
 const employeeRoutes = require('./routes/employeeRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
+const registrationRoutes = require('./routes/registrationRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const impersonationRoutes = require('./routes/impersonationRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const meRoutes = require('./routes/meRoutes');
+const practitionerRevisionRoutes = require('./routes/practitionerRevisionRoutes');
+const practitionerClaimRoutes = require('./routes/practitionerClaimRoutes');
 const { authenticateToken } = require('./middleware/authMiddleware');
+const requestContext = require('./utils/requestContext');
+const { reportSelfAssignedRoles } = require('./utils/roleAudit');
+const { seedBuiltInRoles } = require('./utils/policy');
+const Practitioner = require('./models/Practitioner');
+const { checkConfiguration: checkMailConfiguration } = require('./utils/mailer');
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with a mail transport that would leak links into the logs
+try {
+  checkMailConfiguration();
+} catch (err) {
+  console.error('❌ Mail configuration error:', err.message);
+  process.exit(1);
+}
+
 // Initialize Express app
 const app = express();
 
+// Render terminates TLS at its proxy; trust it so req.ip is the client address
+app.set('trust proxy', 1);
+
 // CRITICAL: Add compression for smaller responses
 app.use(compression());
 
@@ -26,11 +54,18 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-MFA-Code', 'X-API-Key', 'X-Access-Purpose'],
+  exposedHeaders: [
+    'X-Audit-Signature', 'X-Audit-Signature-Algorithm', 'X-Audit-Key-Fingerprint',
+    'X-Audit-Entry-Count', 'X-Audit-First-Seq', 'X-Audit-Last-Seq'
+  ]
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Per-request context (who is acting) for the audit log
+app.use(requestContext.middleware);
+
 // Serve static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
@@ -42,6 +77,27 @@ mongoose.connect(process.env.MONGODB_URI)
 .then(() => {
   console.log('✅ Connected to MongoDB');
   console.log('📊 Database ready for queries');
+  
+  // Make sure the built-in roles exist, then report accounts whose elevated
+  // role was self-assigned at registration
+  seedBuiltInRoles()
+    .catch(err => console.error('❌ Seeding built-in roles failed:', err.message))
+    .then(() => reportSelfAssignedRoles())
+    .catch(err => {
+      console.error('❌ Role audit failed:', err.message);
+    });
+
+  // Convert free-text locations saved before locations were structured
+  Practitioner.backfillLocations({ legacyOnly: true })
+    .then(({ updated, skipped }) => {
+      if (updated.length > 0) {
+        console.log(`📍 Converted free-text locations for ${updated.length} practitioners`);
+      }
+      skipped.forEach(practitioner => {
+        console.warn(`⚠️ Locations of practitioner ${practitioner._id} need fixing: ${practitioner.errors.join(', ')}`);
+      });
+    })
+    .catch(err => console.error('❌ Location backfill failed:', err.message));
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -80,10 +136,17 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Routes with caching headers
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 
 // Add cache headers middleware for public routes
 const addCacheHeaders = (req, res, next) => {
+  // Only reads are cacheable (appointment requests are POSTed here too)
+  if (req.method !== 'GET') {
+    return next();
+  }
+  
   // Cache public data for 5 minutes
   res.set({
     'Cache-Control': 'public, max-age=300',
@@ -99,9 +162,19 @@ app.use('/api/public/events', addCacheHeaders, require('./routes/publicEventRout
 
 // Admin routes (no caching)
 app.use('/api/practitioners', practitionerRoutes);
+app.use('/api/practitioner-revisions', practitionerRevisionRoutes);
+app.use('/api/practitioner-claims', practitionerClaimRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/appointments', appointmentRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/registrations', registrationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/impersonation', impersonationRoutes);
+app.use('/api/me', meRoutes);
 
 // Test route
 app.get('/api/test', (req, res) => {
@@ -0,0 +1,160 @@
+// File: tests/auditChain.test.js
+// Entries are kept in an array instead of MongoDB: saves append to it and the
+// chain-head and verification queries read from it, the way lean() would.
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const audit = require('../utils/audit');
+
+let stored;
+
+// Chainable stand-in for the few query shapes utils/audit.js uses
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject),
+    cursor: () => {
+      const entries = result();
+      let index = 0;
+      return {
+        close: async () => {},
+        [Symbol.asyncIterator]: () => ({
+          next: async () => (index < entries.length
+            ? { value: entries[index++], done: false }
+            : { value: undefined, done: true })
+        })
+      };
+    }
+  };
+  return chain;
+};
+
+const chained = () => stored.filter(entry => entry.seq !== undefined).sort((a, b) => a.seq - b.seq);
+
+const record = (targetId, changes = []) => audit.record({
+  action: changes.length > 0 ? 'update' : 'create',
+  targetModel: 'Practitioner',
+  targetId,
+  changes
+});
+
+beforeEach(() => {
+  stored = [];
+
+  jest.spyOn(AuditLog.prototype, 'save').mockImplementation(function() {
+    if (chained().some(entry => entry.seq === this.seq)) {
+      return Promise.reject(Object.assign(new Error('duplicate seq'), { code: 11000 }));
+    }
+    stored.push({ ...this.toObject(), __v: 0 });
+    return Promise.resolve(this);
+  });
+  jest.spyOn(AuditLog, 'findOne').mockImplementation(() => query(() => {
+    const entries = chained();
+    return entries.length > 0 ? entries[entries.length - 1] : null;
+  }));
+  jest.spyOn(AuditLog, 'find').mockImplementation(() => query(chained));
+  jest.spyOn(AuditLog, 'countDocuments').mockImplementation(async () => stored.filter(entry => entry.seq === undefined).length);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AuditLog hash', () => {
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    actor: { id: null, type: 'system' },
+    action: 'update',
+    targetModel: 'User',
+    targetId: 'abc',
+    changes: [{ path: 'name', before: 'Old', after: 'New' }],
+    timestamp: new Date('2025-01-01T00:00:00Z'),
+    seq: 1,
+    prevHash: AuditLog.GENESIS_HASH
+  };
+
+  test('is the same for a document and the plain object read back', () => {
+    const document = new AuditLog(entry);
+    const readBack = { ...document.toObject(), __v: 0, hash: 'ignored' };
+    expect(AuditLog.computeHash(readBack)).toBe(AuditLog.computeHash(document));
+  });
+
+  test('does not depend on key order or empty values', () => {
+    const reordered = {
+      prevHash: entry.prevHash,
+      seq: entry.seq,
+      ...entry,
+      actor: { type: 'system', id: null, impersonatedBy: {} },
+      method: undefined
+    };
+    expect(AuditLog.computeHash(reordered)).toBe(AuditLog.computeHash(entry));
+  });
+
+  test('changes with any content change', () => {
+    const edited = { ...entry, changes: [{ path: 'name', before: 'Old', after: 'Other' }] };
+    expect(AuditLog.computeHash(edited)).not.toBe(AuditLog.computeHash(entry));
+    expect(AuditLog.computeHash({ ...entry, prevHash: '1'.repeat(64) })).not.toBe(AuditLog.computeHash(entry));
+  });
+});
+
+describe('audit.verifyChain', () => {
+  const writeEntries = async () => {
+    await record('a');
+    await record('a', [{ path: 'name', before: 'A', after: 'B' }]);
+    await record('b');
+  };
+
+  test('chains entries in order from the genesis hash', async () => {
+    await writeEntries();
+
+    const entries = chained();
+    expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+    expect(entries[0].prevHash).toBe(AuditLog.GENESIS_HASH);
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[2].prevHash).toBe(entries[1].hash);
+  });
+
+  test('reports an intact chain as valid', async () => {
+    await writeEntries();
+    stored.push({ _id: new mongoose.Types.ObjectId(), action: 'create', targetModel: 'User', targetId: 'old' });
+
+    const result = await audit.verifyChain();
+
+    expect(result).toMatchObject({ valid: true, checked: 3, headSeq: 3, brokenAt: null, unchained: 1 });
+    expect(result.headHash).toBe(chained()[2].hash);
+  });
+
+  test('detects an edited entry', async () => {
+    await writeEntries();
+    chained()[1].changes[0].after = 'Tampered';
+
+    const result = await audit.verifyChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.checked).toBe(1);
+    expect(result.brokenAt).toMatchObject({ seq: 2, reason: 'Entry content does not match its hash' });
+  });
+
+  test('detects a removed entry', async () => {
+    await writeEntries();
+    stored.splice(stored.indexOf(chained()[1]), 1);
+
+    const result = await audit.verifyChain();
+
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt.seq).toBe(3);
+    expect(result.brokenAt.reason).toMatch(/entries are missing/);
+  });
+
+  test('detects a replaced entry even when its own hash is recomputed', async () => {
+    await writeEntries();
+    const replaced = chained()[1];
+    replaced.prevHash = '1'.repeat(64);
+    replaced.hash = AuditLog.computeHash(replaced);
+
+    const result = await audit.verifyChain();
+
+    expect(result.brokenAt).toMatchObject({ seq: 2, reason: 'prevHash does not match the previous entry' });
+  });
+});
@@ -0,0 +1,93 @@
+// File: tests/availability.test.js
+const availability = require('../utils/availability');
+
+// Well before every date below, so no slot is in the past
+const now = new Date('2026-01-01T00:00:00Z');
+
+const practitioner = (timezone, weekly, extra = {}) => ({
+  schedule: { timezone, slotMinutes: 60, weekly, ...extra }
+});
+
+const starts = (slots) => slots.map(slot => slot.start.toISOString());
+
+describe('availability.openSlots across DST', () => {
+  test('keeps the same wall-clock hours on both sides of a change', () => {
+    // America/New_York moves from UTC-5 to UTC-4 on Sunday 8 March 2026
+    const newYork = practitioner('America/New_York', [
+      { day: 'sat', start: '09:00', end: '10:00' },
+      { day: 'mon', start: '09:00', end: '10:00' }
+    ]);
+
+    const slots = availability.openSlots(newYork, new Date('2026-03-07T00:00:00Z'), new Date('2026-03-10T00:00:00Z'), { now });
+
+    expect(starts(slots)).toEqual(['2026-03-07T14:00:00.000Z', '2026-03-09T13:00:00.000Z']);
+  });
+
+  test('skips wall-clock times that a spring-forward gap removes, without duplicates', () => {
+    // 02:00-03:00 does not exist in New York on 8 March 2026
+    const newYork = practitioner('America/New_York', [{ day: 'sun', start: '00:00', end: '06:00' }]);
+
+    const slots = availability.openSlots(newYork, new Date('2026-03-08T00:00:00Z'), new Date('2026-03-09T00:00:00Z'), { now });
+
+    expect(starts(slots)).toEqual([
+      '2026-03-08T05:00:00.000Z', // 00:00 EST
+      '2026-03-08T06:00:00.000Z', // 01:00 EST
+      '2026-03-08T07:00:00.000Z', // 03:00 EDT
+      '2026-03-08T08:00:00.000Z', // 04:00 EDT
+      '2026-03-08T09:00:00.000Z' // 05:00 EDT
+    ]);
+    expect(new Set(starts(slots)).size).toBe(slots.length);
+  });
+
+  test('offers a repeated fall-back hour once', () => {
+    // 01:00-02:00 happens twice in New York on 1 November 2026
+    const newYork = practitioner('America/New_York', [{ day: 'sun', start: '00:00', end: '03:00' }]);
+
+    const slots = availability.openSlots(newYork, new Date('2026-11-01T00:00:00Z'), new Date('2026-11-02T00:00:00Z'), { now });
+
+    expect(starts(slots)).toEqual([
+      '2026-11-01T04:00:00.000Z', // 00:00 EDT
+      '2026-11-01T05:00:00.000Z', // 01:00 EDT
+      '2026-11-01T07:00:00.000Z' // 02:00 EST
+    ]);
+  });
+
+  test('handles southern-hemisphere changes', () => {
+    // Australia/Melbourne skips 02:00-03:00 on Sunday 4 October 2026 (UTC+10 -> UTC+11)
+    const melbourne = practitioner('Australia/Melbourne', [{ day: 'sun', start: '01:00', end: '04:00' }]);
+
+    const slots = availability.openSlots(melbourne, new Date('2026-10-03T12:00:00Z'), new Date('2026-10-04T12:00:00Z'), { now });
+
+    expect(starts(slots)).toEqual([
+      '2026-10-03T15:00:00.000Z', // 01:00 AEST
+      '2026-10-03T16:00:00.000Z' // 03:00 AEDT
+    ]);
+  });
+
+  test('leaves out busy ranges and keeps locations apart', () => {
+    const clinic = practitioner('Australia/Melbourne', [
+      { day: 'mon', start: '09:00', end: '11:00', location: 'Carlton' },
+      { day: 'mon', start: '09:00', end: '10:00', location: 'Fitzroy' }
+    ]);
+    const busy = [{ start: new Date('2026-06-01T00:00:00Z'), end: new Date('2026-06-01T00:30:00Z') }];
+
+    const slots = availability.openSlots(clinic, new Date('2026-05-31T14:00:00Z'), new Date('2026-06-01T14:00:00Z'), { now, busy });
+
+    // 09:00 AEST is 23:00Z the day before; the busy range blocks 10:00 at Carlton
+    expect(slots.map(slot => [slot.start.toISOString(), slot.location])).toEqual([
+      ['2026-05-31T23:00:00.000Z', 'Carlton'],
+      ['2026-05-31T23:00:00.000Z', 'Fitzroy']
+    ]);
+  });
+
+  test('applies closures from the exceptions list', () => {
+    const closed = practitioner('Europe/London', [{ day: 'sun', start: '09:00', end: '11:00' }], {
+      exceptions: [{ date: '2026-03-29', closed: true }]
+    });
+
+    const slots = availability.openSlots(closed, new Date('2026-03-28T00:00:00Z'), new Date('2026-04-06T00:00:00Z'), { now });
+
+    // 29 March (the day the UK changes) is closed; 5 April is BST
+    expect(starts(slots)).toEqual(['2026-04-05T08:00:00.000Z', '2026-04-05T09:00:00.000Z']);
+  });
+});
@@ -0,0 +1,127 @@
+// File: tests/directorySearch.test.js
+const directorySearch = require('../utils/directorySearch');
+
+const sort = { isFeatured: -1, name: 1, _id: 1 };
+const project = { name: 1 };
+
+describe('directorySearch.parseQuery', () => {
+  test('reads comma-separated and repeated values per dimension', () => {
+    const { filters } = directorySearch.parseQuery({
+      specialty: 'Psychology, Counselling',
+      insurance: ['Medibank', 'Bupa,HCF'],
+      sessionType: ''
+    });
+
+    expect(filters).toEqual({
+      specialty: ['Psychology', 'Counselling'],
+      insurance: ['Medibank', 'Bupa', 'HCF']
+    });
+  });
+
+  test('reads fee bounds and rejects bad ones', () => {
+    expect(directorySearch.parseQuery({ minFee: '100' }).filters.fee).toEqual({ min: 100, max: null });
+    expect(directorySearch.parseQuery({ minFee: '-1' }).error).toMatch(/0 or more/);
+    expect(directorySearch.parseQuery({ maxFee: 'cheap' }).error).toMatch(/0 or more/);
+    expect(directorySearch.parseQuery({ minFee: '200', maxFee: '100' }).error).toMatch(/cannot be more than/);
+  });
+
+  test('clamps the page and page size', () => {
+    expect(directorySearch.parseQuery({})).toMatchObject({ page: 1, limit: directorySearch.DEFAULT_PAGE_SIZE });
+    expect(directorySearch.parseQuery({ page: '-3', limit: '5000' })).toMatchObject({ page: 1, limit: directorySearch.MAX_PAGE_SIZE });
+    expect(directorySearch.parseQuery({ page: '3', limit: '10' })).toMatchObject({ page: 3, limit: 10 });
+  });
+});
+
+describe('directorySearch.facetStage', () => {
+  const search = directorySearch.parseQuery({
+    specialty: 'Psychology',
+    location: 'Carlton',
+    minFee: '100',
+    page: '2',
+    limit: '10'
+  });
+  const { $facet: facets } = directorySearch.facetStage({ ...search, sort, project });
+
+  const specialtyCondition = { specialty: { $in: ['Psychology'] } };
+  const locationCondition = {
+    $or: [{ 'locations.city': { $in: ['Carlton'] } }, { 'locations.label': { $in: ['Carlton'] } }]
+  };
+  const feeCondition = { 'fees.initial': { $gte: 100 } };
+
+  test('pages the results with every filter applied', () => {
+    expect(facets.results).toEqual([
+      { $match: { $and: [specialtyCondition, locationCondition, feeCondition] } },
+      { $sort: sort },
+      { $skip: 10 },
+      { $limit: 10 },
+      { $project: project }
+    ]);
+    expect(facets.total[0]).toEqual(facets.results[0]);
+  });
+
+  test('counts each dimension with every filter except its own', () => {
+    expect(facets.specialty[0]).toEqual({ $match: { $and: [locationCondition, feeCondition] } });
+    expect(facets.location[0]).toEqual({ $match: { $and: [specialtyCondition, feeCondition] } });
+    expect(facets.fee[0]).toEqual({ $match: { $and: [specialtyCondition, locationCondition] } });
+    expect(facets.insurance[0]).toEqual(facets.results[0]);
+  });
+
+  test('has a facet for every dimension and for fees', () => {
+    expect(Object.keys(facets).sort()).toEqual(
+      ['fee', 'results', 'total', ...directorySearch.DIMENSIONS].sort()
+    );
+  });
+
+  test('counts locations by city, falling back to the label', () => {
+    const values = facets.location.find(stage => stage.$project).$project;
+    expect(JSON.stringify(values)).toContain('"$ifNull":["$$location.city","$$location.label"]');
+  });
+
+  test('matches everything when nothing is filtered', () => {
+    const { $facet: unfiltered } = directorySearch.facetStage({ filters: {}, page: 1, limit: 20, sort, project });
+    expect(unfiltered.results[0]).toEqual({ $match: {} });
+    expect(unfiltered.specialty[0]).toEqual({ $match: {} });
+  });
+
+  test('buckets fees by the configured bands', () => {
+    const bucket = facets.fee.find(stage => stage.$bucket).$bucket;
+    expect(bucket.boundaries).toEqual([...directorySearch.FEE_BANDS, Number.MAX_VALUE]);
+  });
+});
+
+describe('directorySearch.shapeResult', () => {
+  const output = {
+    results: [{ name: 'Dr A' }, { name: 'Dr B' }],
+    total: [{ count: 12 }],
+    specialty: [{ _id: 'Psychology', count: 7 }, { _id: 'Counselling', count: 5 }],
+    location: [{ _id: 'Carlton', count: 4 }],
+    fee: [{ _id: 100, count: 3 }, { _id: 250, count: 2 }, { _id: 'other', count: 1 }]
+  };
+
+  test('returns the page, the total and facet counts with the selected values marked', () => {
+    const { results, totalCount, facets } = directorySearch.shapeResult(output, { specialty: ['Counselling'] });
+
+    expect(results).toHaveLength(2);
+    expect(totalCount).toBe(12);
+    expect(facets.specialty).toEqual([
+      { value: 'Psychology', count: 7, selected: false },
+      { value: 'Counselling', count: 5, selected: true }
+    ]);
+    expect(facets.location).toEqual([{ value: 'Carlton', count: 4, selected: false }]);
+    expect(facets.insurance).toEqual([]);
+  });
+
+  test('turns fee buckets into bands and drops the overflow bucket', () => {
+    expect(directorySearch.shapeResult(output).facets.fee).toEqual([
+      { min: 100, max: 150, count: 3 },
+      { min: 250, max: null, count: 2 }
+    ]);
+  });
+
+  test('handles an empty aggregation result', () => {
+    const { results, totalCount, facets } = directorySearch.shapeResult(undefined);
+    expect(results).toEqual([]);
+    expect(totalCount).toBe(0);
+    expect(facets.fee).toEqual([]);
+  });
+});
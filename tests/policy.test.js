@@ -0,0 +1,95 @@
+// File: tests/policy.test.js
+const Role = require('../models/Role');
+const policy = require('../utils/policy');
+
+// Roles an admin created or tuned through /api/roles
+let savedRoles;
+
+beforeEach(() => {
+  savedRoles = [];
+  jest.spyOn(Role, 'find').mockImplementation(() => ({ lean: async () => savedRoles }));
+  policy.invalidateRoleCache();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('policy.can', () => {
+  test('admins hold everything through the "*" permission', async () => {
+    const admin = { role: 'admin' };
+    expect(await policy.can(admin, 'delete', 'employees')).toBe(true);
+    expect(await policy.can(admin, 'export', 'audit')).toBe(true);
+  });
+
+  test('resource wildcards grant every action on that resource only', async () => {
+    const staff = { role: 'staff' };
+    expect(await policy.can(staff, 'delete', 'practitioners')).toBe(true);
+    expect(await policy.can(staff, 'manage', 'appointments')).toBe(true);
+    expect(await policy.can(staff, 'read', 'employees')).toBe(true);
+    expect(await policy.can(staff, 'update', 'employees')).toBe(false);
+    expect(await policy.can(staff, 'read', 'audit')).toBe(false);
+  });
+
+  test('directly granted permissions add to the role', async () => {
+    const user = { role: 'user', permissions: ['audit:read'] };
+    expect(await policy.can(user, 'read', 'audit')).toBe(true);
+    expect(await policy.can(user, 'export', 'audit')).toBe(false);
+  });
+
+  test('legacy permission names expand to registry permissions', async () => {
+    const user = { role: 'user', permissions: ['manage_users', 'delete_users'] };
+    expect(await policy.can(user, 'update', 'employees')).toBe(true);
+    expect(await policy.can(user, 'approve', 'registrations')).toBe(true);
+    expect(await policy.can(user, 'delete', 'employees')).toBe(true);
+    expect(await policy.can(user, 'reset_password', 'employees')).toBe(false);
+  });
+
+  test('saved roles override the built-in definitions', async () => {
+    savedRoles = [
+      { name: 'staff', permissions: ['practitioners:read'], isEmployee: true },
+      { name: 'auditor', permissions: ['audit:*'], isEmployee: true }
+    ];
+
+    expect(await policy.can({ role: 'staff' }, 'delete', 'practitioners')).toBe(false);
+    expect(await policy.can({ role: 'auditor' }, 'export', 'audit')).toBe(true);
+    expect(await policy.employeeRoleNames()).toEqual(expect.arrayContaining(['staff', 'auditor']));
+  });
+
+  test('unknown roles and missing users hold nothing', async () => {
+    expect(await policy.can({ role: 'ghost' }, 'read', 'practitioners')).toBe(false);
+    expect(await policy.can(null, 'read', 'practitioners')).toBe(false);
+  });
+});
+
+describe('policy.canGrant', () => {
+  const manager = { role: 'manager', permissions: ['employees:update'] };
+
+  test('allows granting permissions the actor holds, including through wildcards', async () => {
+    expect(await policy.canGrant(manager, { permissions: ['practitioners:delete', 'employees:update'] })).toBe(true);
+    expect(await policy.canGrant(manager, { permissions: ['practitioners:*'] })).toBe(true);
+    expect(await policy.canGrant(manager, { role: 'staff' })).toBe(true);
+  });
+
+  test('refuses anything beyond what the actor holds', async () => {
+    expect(await policy.canGrant(manager, { permissions: ['employees:delete'] })).toBe(false);
+    expect(await policy.canGrant(manager, { permissions: ['employees:*'] })).toBe(false);
+    expect(await policy.canGrant(manager, { permissions: ['*'] })).toBe(false);
+    expect(await policy.canGrant(manager, { role: 'admin' })).toBe(false);
+  });
+
+  test('checks legacy names by what they expand to', async () => {
+    expect(await policy.canGrant(manager, { permissions: ['manage_practitioners'] })).toBe(true);
+    expect(await policy.canGrant(manager, { permissions: ['manage_users'] })).toBe(false);
+  });
+
+  test('admins can grant the admin role', async () => {
+    expect(await policy.canGrant({ role: 'admin' }, { role: 'admin', permissions: ['*'] })).toBe(true);
+  });
+
+  test('canManage compares against everything the target holds', async () => {
+    expect(await policy.canManage(manager, { role: 'staff' })).toBe(true);
+    expect(await policy.canManage(manager, { role: 'staff', permissions: ['audit:read'] })).toBe(false);
+    expect(await policy.canManage(manager, { role: 'admin' })).toBe(false);
+  });
+});
@@ -0,0 +1,122 @@
+// File: tests/sessionTokens.test.js
+// Sessions live in a Map instead of MongoDB; the queries sessionTokens makes
+// are answered from it so rotation runs against the real Session documents.
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionTokens = require('../utils/sessionTokens');
+
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+let sessions;
+let user;
+
+const matches = (session, filter) => Object.entries(filter).every(([path, value]) => {
+  const current = session.get(path);
+  if (value === null) return current === null || current === undefined;
+  return String(current) === String(value);
+});
+
+beforeEach(() => {
+  process.env.JWT_SECRET = 'test-secret';
+  sessions = new Map();
+  user = new User({ name: 'Test User', email: 'user@example.com', role: 'user', status: 'active' });
+
+  jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+    const session = new Session(data);
+    sessions.set(String(session._id), session);
+    return session;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) => ({
+    select: async () => sessions.get(String(id)) || null
+  }));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const session = sessions.get(String(filter._id));
+    if (!session || !matches(session, filter)) return null;
+    session.set(update);
+    return session;
+  });
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => (String(id) === String(user._id) ? user : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sessionTokens', () => {
+  test('createSession stores only a hash of the refresh secret', async () => {
+    const { session, token, refreshToken } = await sessionTokens.createSession(user, req);
+
+    const [sessionId, secret] = refreshToken.split('.');
+    expect(sessionId).toBe(String(session._id));
+    expect(session.refreshTokenHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(session.refreshTokenHash).not.toContain(secret);
+    expect(token).toEqual(expect.any(String));
+  });
+
+  test('rotateSession issues a new refresh token for the same session', async () => {
+    const { session, refreshToken } = await sessionTokens.createSession(user, req);
+
+    const rotated = await sessionTokens.rotateSession(refreshToken, req);
+
+    expect(rotated).not.toBeNull();
+    expect(String(rotated.session._id)).toBe(String(session._id));
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.refreshToken.startsWith(`${session._id}.`)).toBe(true);
+
+    // The new token rotates again
+    expect(await sessionTokens.rotateSession(rotated.refreshToken, req)).not.toBeNull();
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const { session, refreshToken } = await sessionTokens.createSession(user, req);
+    const rotated = await sessionTokens.rotateSession(refreshToken, req);
+
+    expect(await sessionTokens.rotateSession(refreshToken, req)).toBeNull();
+    expect(session.revokedAt).toEqual(expect.any(Date));
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+
+    // The legitimate holder is signed out too
+    expect(await sessionTokens.rotateSession(rotated.refreshToken, req)).toBeNull();
+  });
+
+  test('only one of two refreshes with the same token succeeds', async () => {
+    const { refreshToken } = await sessionTokens.createSession(user, req);
+
+    const results = await Promise.all([
+      sessionTokens.rotateSession(refreshToken, req),
+      sessionTokens.rotateSession(refreshToken, req)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('rejects malformed tokens without touching sessions', async () => {
+    expect(await sessionTokens.rotateSession('not-a-token', req)).toBeNull();
+    expect(await sessionTokens.rotateSession('123.abc', req)).toBeNull();
+    expect(await sessionTokens.rotateSession(undefined, req)).toBeNull();
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+
+  test('revokes the session when the account is no longer active', async () => {
+    const { session, refreshToken } = await sessionTokens.createSession(user, req);
+    user.status = 'suspended';
+
+    expect(await sessionTokens.rotateSession(refreshToken, req)).toBeNull();
+    expect(session.revokedReason).toBe('account_inactive');
+  });
+
+  test('revokeByRefreshToken only accepts the current token', async () => {
+    const { session, refreshToken } = await sessionTokens.createSession(user, req);
+    const [sessionId] = refreshToken.split('.');
+
+    expect(await sessionTokens.revokeByRefreshToken(`${sessionId}.wrong`)).toBe(false);
+    expect(session.revokedAt).toBeNull();
+
+    expect(await sessionTokens.revokeByRefreshToken(refreshToken)).toBe(true);
+    expect(session.revokedReason).toBe('logout');
+  });
+});
@@ -0,0 +1,116 @@
+// File: tests/totp.test.js
+const totp = require('../utils/totp');
+const User = require('../models/User');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('totp', () => {
+  test('matches the RFC 6238 SHA-1 test vectors (last 6 digits)', () => {
+    expect(totp.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(totp.generateCode(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('generated secrets produce codes that verify', () => {
+    const secret = totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+
+    const now = Date.UTC(2025, 0, 1, 12);
+    expect(totp.verifyCode(secret, totp.generateCode(secret, now), { now })).toBe(Math.floor(now / STEP_MS));
+  });
+
+  test('accepts codes one step either side of now and nothing further', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(now / STEP_MS);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now - STEP_MS), { now })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now + STEP_MS), { now })).toBe(step + 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now - 2 * STEP_MS), { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, now + 2 * STEP_MS), { now })).toBeNull();
+  });
+
+  test('rejects codes at or before the last used step', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(now / STEP_MS);
+    const code = totp.generateCode(RFC_SECRET, now);
+
+    expect(totp.verifyCode(RFC_SECRET, code, { now, lastUsedStep: step })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, code, { now, lastUsedStep: step + 1 })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, code, { now, lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  test('rejects malformed codes and missing secrets', () => {
+    const now = 1234567890 * 1000;
+    expect(totp.verifyCode(RFC_SECRET, '12345', { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 5924, { now })).toBeNull();
+    expect(totp.verifyCode(null, '005924', { now })).toBeNull();
+  });
+
+  test('recovery codes hash the same regardless of case and whitespace', () => {
+    const [code] = totp.generateRecoveryCodes(1);
+    expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(totp.hashRecoveryCode(` ${code.toUpperCase()} `)).toBe(totp.hashRecoveryCode(code));
+  });
+});
+
+describe('User.consumeMfaCode', () => {
+  const now = Date.UTC(2025, 5, 1, 9, 30, 10);
+  const recoveryCode = 'ab12-cd34';
+
+  const userWithMfa = (mfa = {}) => new User({
+    name: 'Test Admin',
+    email: 'admin@example.com',
+    role: 'admin',
+    mfa: {
+      enabled: true,
+      secret: RFC_SECRET,
+      recoveryCodes: [totp.hashRecoveryCode(recoveryCode)],
+      ...mfa
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts the current code once and records its step', () => {
+    const user = userWithMfa();
+    const code = totp.generateCode(RFC_SECRET, now);
+
+    expect(user.consumeMfaCode(code)).toBe(true);
+    expect(user.mfa.lastUsedStep).toBe(Math.floor(now / STEP_MS));
+
+    // Replaying the same code within its window fails
+    expect(user.consumeMfaCode(code)).toBe(false);
+  });
+
+  test('rejects an older code once a newer one was used', () => {
+    const user = userWithMfa();
+    const previous = totp.generateCode(RFC_SECRET, now - STEP_MS);
+
+    expect(user.consumeMfaCode(totp.generateCode(RFC_SECRET, now))).toBe(true);
+    expect(user.consumeMfaCode(previous)).toBe(false);
+  });
+
+  test('accepts each recovery code only once', () => {
+    const user = userWithMfa();
+
+    expect(user.consumeMfaCode(recoveryCode)).toBe(true);
+    expect(user.mfa.recoveryCodes).toHaveLength(0);
+    expect(user.consumeMfaCode(recoveryCode)).toBe(false);
+  });
+
+  test('accepts nothing when MFA is not enabled', () => {
+    const user = userWithMfa({ enabled: false });
+    expect(user.consumeMfaCode(totp.generateCode(RFC_SECRET, now))).toBe(false);
+    expect(user.consumeMfaCode(recoveryCode)).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+// File: utils/apiKeys.js
+// Keys look like "vha_<prefix>_<secret>". The prefix is stored in clear so a
+// key can be found and shown without the secret; the whole key is hashed.
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const KEY_PATTERN = /^vha_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Only data an integration needs; staff administration stays with people
+const API_KEY_RESOURCES = ['practitioners', 'events', 'uploads', 'analytics'];
+
+// Write lastUsedAt at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+exports.API_KEY_RESOURCES = API_KEY_RESOURCES;
+
+// Whether a scope may be granted to an API key at all
+exports.isAllowedScope = (scope) => {
+  const [resource] = String(scope).split(':');
+  return API_KEY_RESOURCES.includes(resource);
+};
+
+// Returns { prefix, key, keyHash }; the key itself is never stored
+exports.generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const key = `vha_${prefix}_${secret}`;
+
+  return { prefix, key, keyHash: hashKey(key) };
+};
+
+// Pull a key from "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+exports.extractApiKey = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('ApiKey ')) {
+    return authorization.slice('ApiKey '.length).trim();
+  }
+
+  return null;
+};
+
+// Resolve a presented key to an active ApiKey, recording its use; null if invalid
+exports.authenticateApiKey = async (key, ip) => {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const presented = Buffer.from(hashKey(key), 'hex');
+  const stored = Buffer.from(apiKey.keyHash, 'hex');
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: ip || null });
+  }
+
+  return apiKey;
+};
@@ -0,0 +1,180 @@
+// File: utils/appointments.js
+// Settings for public appointment requests:
+//   APPOINTMENT_REQUEST_HOLD_HOURS (default 48) - how long an unconfirmed request holds its time
+//   APPOINTMENT_REQUEST_LIMIT_PER_IP (default 5) and _PER_EMAIL (default 3) requests
+//   per APPOINTMENT_REQUEST_WINDOW_MINUTES (default 60)
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const BookingLock = require('../models/BookingLock');
+const loginThrottle = require('./loginThrottle');
+const { sendMail } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+const availability = require('./availability');
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Length of one appointment with this practitioner
+exports.durationMinutes = (practitioner) =>
+  (practitioner.schedule && practitioner.schedule.slotMinutes) || DEFAULT_DURATION_MINUTES;
+
+const LOCK_SECONDS = 10;
+const LOCK_ATTEMPTS = 20;
+const LOCK_RETRY_MS = 100;
+
+const requestSettings = () => ({
+  holdHours: parseInt(process.env.APPOINTMENT_REQUEST_HOLD_HOURS, 10) || 48,
+  perIp: parseInt(process.env.APPOINTMENT_REQUEST_LIMIT_PER_IP, 10) || 5,
+  perEmail: parseInt(process.env.APPOINTMENT_REQUEST_LIMIT_PER_EMAIL, 10) || 3,
+  windowMinutes: parseInt(process.env.APPOINTMENT_REQUEST_WINDOW_MINUTES, 10) || 60
+});
+
+// When a request made now stops holding its time
+exports.holdExpiresAt = () => new Date(Date.now() + requestSettings().holdHours * 60 * 60 * 1000);
+
+// Count a public request against the client IP and patient email limits.
+// Returns { allowed, retryAfterSeconds }.
+exports.checkRequestLimit = async (ip, email) => {
+  const { perIp, perEmail, windowMinutes } = requestSettings();
+
+  const byIp = await loginThrottle.consume(`appointment-ip:${ip || 'unknown'}`, perIp, windowMinutes);
+  if (!byIp.allowed) return byIp;
+
+  return loginThrottle.consume(`appointment-email:${String(email).trim().toLowerCase()}`, perEmail, windowMinutes);
+};
+
+// Requests nobody confirmed in time give their slot back
+exports.expireStaleRequests = async (practitionerId) => {
+  const filter = { status: 'requested', holdExpiresAt: { $lte: new Date() } };
+  if (practitionerId) filter.practitioner = practitionerId;
+
+  const result = await Appointment.updateMany(filter, {
+    status: 'expired',
+    $push: { history: { action: 'expired', note: 'Not confirmed in time' } }
+  });
+  if (result.modifiedCount > 0) {
+    console.log(`⌛ ${result.modifiedCount} unconfirmed appointment requests expired`);
+  }
+};
+
+// Run `fn` while holding the practitioner's booking lock, so the check for a
+// clash and the write that follows can't interleave with another booking.
+// Returns fn's result; throws an error with code 'BOOKING_BUSY' if the lock
+// stays taken.
+exports.withPractitionerLock = async (practitionerId, fn) => {
+  const token = crypto.randomBytes(16).toString('hex');
+
+  for (let attempt = 1; ; attempt++) {
+    const now = new Date();
+    try {
+      // Takes a free or expired lock; a held one makes the upsert collide
+      await BookingLock.findOneAndUpdate(
+        { practitioner: practitionerId, lockedUntil: { $lte: now } },
+        { token, lockedUntil: new Date(now.getTime() + LOCK_SECONDS * 1000) },
+        { upsert: true }
+      );
+      break;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      if (attempt >= LOCK_ATTEMPTS) {
+        const busy = new Error('Another booking for this practitioner is in progress');
+        busy.code = 'BOOKING_BUSY';
+        throw busy;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await BookingLock.updateOne({ practitioner: practitionerId, token }, { lockedUntil: new Date(0) });
+  }
+};
+
+// Live appointments overlapping [from, to), as { start, end } ranges
+exports.busyRanges = async (practitionerId, from, to, excludeId) => {
+  await exports.expireStaleRequests(practitionerId);
+
+  const filter = {
+    practitioner: practitionerId,
+    status: { $in: Appointment.ACTIVE_STATUSES },
+    start: { $lt: to },
+    end: { $gt: from }
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  return Appointment.find(filter).select('start end').lean();
+};
+
+// Whether the practitioner already has a live appointment in [start, end)
+exports.isBooked = async (practitionerId, start, end, excludeId) =>
+  (await exports.busyRanges(practitionerId, start, end, excludeId)).length > 0;
+
+// Problem with a requested time for a public booking, or null if it's an open slot.
+// Practitioners without weekly hours take requests for any future time.
+exports.slotError = async (practitioner, start, location) => {
+  if (start <= new Date()) {
+    return 'Please choose a time in the future';
+  }
+
+  const end = new Date(start.getTime() + exports.durationMinutes(practitioner) * 60000);
+  const hasSchedule = practitioner.schedule && (practitioner.schedule.weekly || []).length > 0;
+
+  if (hasSchedule) {
+    const open = availability.openSlots(practitioner, start, end, { location })
+      .some(slot => slot.start.getTime() === start.getTime());
+    if (!open) {
+      return 'That time is not one of the practitioner\'s open slots';
+    }
+  }
+
+  if (await exports.isBooked(practitioner._id, start, end)) {
+    return 'That time has already been booked';
+  }
+
+  return null;
+};
+
+// "Tuesday 4 March 2025 at 17:00 (Europe/Dublin)"
+const formatWhen = (date, timeZone) => {
+  const formatted = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(date);
+  return `${formatted.replace(', ', ' ')} (${timeZone})`;
+};
+
+// Email the patient (and, for new requests, the practitioner) about a change.
+// Never throws: a failed email is logged rather than failing the request.
+exports.notify = async (event, appointment, practitioner, { note, previousStart } = {}) => {
+  const timeZone = availability.timezoneOf(practitioner);
+  const details = {
+    name: appointment.patient.name,
+    patientName: appointment.patient.name,
+    patientEmail: appointment.patient.email,
+    patientPhone: appointment.patient.phone,
+    practitionerName: practitioner.name,
+    sessionType: appointment.sessionType,
+    location: appointment.location,
+    when: formatWhen(appointment.start, timeZone),
+    previousWhen: previousStart ? formatWhen(previousStart, timeZone) : undefined,
+    note
+  };
+
+  const messages = [{ to: appointment.patient.email, template: event }];
+  if (event === 'appointmentRequested' && practitioner.email) {
+    messages.push({ to: practitioner.email, template: 'appointmentRequestReceived', name: practitioner.name });
+  }
+
+  for (const message of messages) {
+    try {
+      await sendMail({
+        to: message.to,
+        ...emailTemplates[message.template]({ ...details, name: message.name || details.name })
+      });
+    } catch (err) {
+      console.error(`❌ Failed to send ${message.template} email for appointment ${appointment._id}:`, err.message);
+    }
+  }
+};
@@ -0,0 +1,190 @@
+// File: utils/approvals.js
+// Two-person approval for destructive administrative actions. Routes call
+// requestApproval() instead of acting; the action below runs only when a
+// different employee holding the same permission approves the request through
+// /api/approvals. Each action re-validates its target at execution time, since
+// things may have changed while the request was pending.
+const crypto = require('crypto');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Practitioner = require('../models/Practitioner');
+const { employeeRoleNames, can, canManage } = require('./policy');
+const { sendMail, appUrl } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+const expireHours = () => parseInt(process.env.APPROVAL_EXPIRE_HOURS, 10) || 24;
+
+const findEmployee = async (id) => {
+  const employeeRoles = await employeeRoleNames();
+  const employee = await User.findById(id);
+  if (!employee || !employeeRoles.includes(employee.role)) {
+    throw new Error('Employee no longer exists');
+  }
+  return employee;
+};
+
+// Handler per action: the permission an approver needs and what runs on approval
+const ACTIONS = {
+  'employees.delete': {
+    permission: ['delete', 'employees'],
+    execute: async (request, approver) => {
+      const employee = await findEmployee(request.target);
+
+      if (employee._id.toString() === approver.id.toString()) {
+        throw new Error('You cannot approve the deletion of your own account');
+      }
+
+      if (employee.role === 'admin' && await User.countDocuments({ role: 'admin' }) <= 1) {
+        throw new Error('Cannot delete the last admin user');
+      }
+
+      await User.findByIdAndDelete(employee._id);
+      await Session.revokeAllForUser(employee._id, 'account_deleted');
+      return { deleted: employee.email };
+    }
+  },
+
+  'employees.reset_password': {
+    permission: ['reset_password', 'employees'],
+    execute: async (request) => {
+      const employee = await findEmployee(request.target);
+
+      // Nobody ever sees a password: the old one stops working (which also
+      // signs the employee out everywhere) and they choose a new one from the link
+      employee.password = crypto.randomBytes(32).toString('hex');
+      const resetToken = employee.getResetPasswordToken();
+      await employee.save({ validateModifiedOnly: true });
+
+      const message = emailTemplates.adminPasswordReset({
+        name: employee.name,
+        resetUrl: appUrl(`/reset-password/${resetToken}`),
+        expiresInMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30
+      });
+      let emailSent = true;
+      try {
+        await sendMail({ to: employee.email, ...message });
+      } catch (mailErr) {
+        // The employee can still use "forgot password" with their address
+        console.error('❌ Failed to send password reset email:', mailErr.message);
+        emailSent = false;
+      }
+
+      return { email: employee.email, emailSent };
+    }
+  },
+
+  'employees.bulk_status': {
+    permission: ['update', 'employees'],
+    execute: async (request, approver) => {
+      const { ids, status } = request.payload;
+      const employeeRoles = await employeeRoleNames();
+
+      // Neither the requester nor the approver may act on someone with more access
+      const requester = await User.findById(request.requestedBy);
+      if (!requester) {
+        throw new Error('The employee who requested this no longer exists');
+      }
+      const targets = await User.find({ _id: { $in: ids }, role: { $in: employeeRoles } })
+        .select('name email role permissions');
+      for (const target of targets) {
+        if (!await canManage(requester, target) || !await canManage(approver, target)) {
+          throw new Error(`${target.name} <${target.email}> holds access that the requester or approver does not have`);
+        }
+      }
+
+      // Invited accounts have no password yet and only activate by accepting
+      const bulkFilter = {
+        _id: { $in: ids },
+        role: { $in: employeeRoles },
+        status: { $ne: 'invited' }
+      };
+
+      const result = await User.updateMany(bulkFilter, { status });
+
+      // updateMany skips the User save hooks, so revoke sessions here
+      if (status !== 'active') {
+        const affectedIds = await User.find(bulkFilter).distinct('_id');
+        await Session.revokeAllForUser(affectedIds, 'account_inactive');
+      }
+
+      return { modifiedCount: result.modifiedCount };
+    }
+  },
+
+  'practitioners.delete': {
+    permission: ['delete', 'practitioners'],
+    execute: async (request) => {
+      const practitioner = await Practitioner.findByIdAndDelete(request.target);
+      if (!practitioner) {
+        throw new Error('Practitioner no longer exists');
+      }
+      return { deleted: practitioner.name };
+    }
+  }
+};
+
+exports.ACTIONS = ACTIONS;
+
+// Create a pending request, or return the one already pending for the same target.
+// Returns { request, existing }.
+exports.requestApproval = async (action, { target = null, payload = {}, summary, reason }, requester) => {
+  await ApprovalRequest.expireStale();
+
+  if (target) {
+    const pending = await ApprovalRequest.findOne({ action, target, status: 'pending' });
+    if (pending) {
+      return { request: pending, existing: true };
+    }
+  }
+
+  const request = await ApprovalRequest.create({
+    action,
+    target,
+    payload,
+    summary,
+    reason,
+    requestedBy: requester.id,
+    expiresAt: new Date(Date.now() + expireHours() * 60 * 60 * 1000)
+  });
+
+  console.log(`📝 Approval requested by ${requester.email}: ${summary}`);
+  return { request, existing: false };
+};
+
+// Response body for a route whose action now waits for approval
+exports.pendingResponse = ({ request, existing }) => ({
+  success: true,
+  approvalRequired: true,
+  message: existing
+    ? 'An approval request for this action is already pending'
+    : 'Approval requested. Another authorized employee must approve this action before it runs.',
+  data: {
+    approvalId: request._id,
+    action: request.action,
+    status: request.status,
+    expiresAt: request.expiresAt
+  }
+});
+
+// Whether `user` holds the permission needed to approve or reject `request`
+exports.canDecide = (user, request) => {
+  const handler = ACTIONS[request.action];
+  return handler ? can(user, ...handler.permission) : false;
+};
+
+// Run an approved request and record the outcome on it
+exports.execute = async (request, approver) => {
+  try {
+    request.result = await ACTIONS[request.action].execute(request, approver);
+    request.executedAt = new Date();
+    console.log(`✅ Approved action executed (${request.action}) approved by ${approver.email}`);
+  } catch (err) {
+    request.status = 'failed';
+    request.error = err.message;
+    console.error(`❌ Approved action failed (${request.action}):`, err.message);
+  }
+
+  await request.save();
+  return request;
+};
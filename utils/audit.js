@@ -0,0 +1,188 @@
+// File: utils/audit.js
+// Writes AuditLog entries. Mongoose models get this automatically through
+// utils/auditPlugin.js; anything that isn't a document (e.g. uploaded files)
+// calls record() directly.
+const AuditLog = require('../models/AuditLog');
+const { getContext } = require('./requestContext');
+
+// Values that must never be copied into the audit log
+const REDACTED_PATHS = [
+  'password',
+  'passwordHistory',
+  'resetPasswordToken',
+  'mfa.secret',
+  'mfa.pendingSecret',
+  'mfa.recoveryCodes',
+  'invitation.tokenId',
+  'keyHash',
+  'refreshTokenHash',
+  'verificationTokenHash'
+];
+
+// Bookkeeping that changes on its own and isn't worth an entry
+const IGNORED_PATHS = ['__v', 'updatedAt', 'lastLogin', 'mfa.lastUsedStep'];
+
+const matches = (path, list) => list.some(entry => path === entry || path.startsWith(`${entry}.`));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  !Array.isArray(value) && !(value instanceof Date) && !value._bsontype;
+
+// { a: { b: 1 } } -> { 'a.b': 1 }; arrays and ObjectIds stay whole
+const flatten = (object, prefix = '', out = {}) => {
+  Object.entries(object || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  });
+  return out;
+};
+
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Changed paths between two plain objects, as [{ path, before, after }]
+exports.diff = (before, after) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  paths.forEach(path => {
+    if (matches(path, IGNORED_PATHS)) return;
+
+    const oldValue = normalize(flatBefore[path]);
+    const newValue = normalize(flatAfter[path]);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    changes.push(matches(path, REDACTED_PATHS)
+      ? { path, before: '[redacted]', after: '[redacted]' }
+      : { path, before: oldValue, after: newValue });
+  });
+
+  return changes;
+};
+
+// Who is acting in the current request
+const actorFromRequest = (req) => {
+  const user = req && req.user;
+  if (!user) {
+    return { id: null, type: 'system' };
+  }
+
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    type: user.isServiceAccount ? 'api_key' : 'user',
+    impersonatedBy: user.impersonator
+      ? { id: user.impersonator.id, email: user.impersonator.email }
+      : undefined
+  };
+};
+
+// Entries are chained in the order they are written. Appends from this process
+// are serialized through this promise; a concurrent writer in another process
+// surfaces as a duplicate seq, which is retried against the new chain head.
+let chainTail = Promise.resolve();
+const MAX_APPEND_ATTEMPTS = 5;
+
+const appendToChain = async (data) => {
+  for (let attempt = 1; ; attempt++) {
+    const last = await AuditLog.findOne({ seq: { $exists: true } })
+      .sort({ seq: -1 })
+      .select('seq hash')
+      .lean();
+
+    const entry = new AuditLog({
+      ...data,
+      seq: last ? last.seq + 1 : 1,
+      prevHash: last ? last.hash : AuditLog.GENESIS_HASH
+    });
+    entry.hash = AuditLog.computeHash(entry);
+
+    try {
+      return await entry.save();
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw err;
+    }
+  }
+};
+
+// Whether mutations in the current request should be audited (see middleware/auditMiddleware.js)
+exports.isAuditing = (context = getContext()) => Boolean(context && context.audit);
+
+// Write one entry. `req` defaults to the request in the current context.
+// Never throws: a failed audit write is logged rather than failing the request.
+exports.record = async ({ action, targetModel, targetId, changes = [] }, req) => {
+  const context = getContext();
+  const request = req || (context && context.req);
+
+  if (action === 'update' && changes.length === 0) return null;
+
+  try {
+    const append = chainTail.then(() => appendToChain({
+      actor: actorFromRequest(request),
+      action,
+      targetModel,
+      targetId: String(targetId),
+      changes,
+      method: request ? request.method : undefined,
+      path: request ? request.originalUrl.split('?')[0] : undefined,
+      ip: request ? request.ip : undefined,
+      userAgent: request ? request.get('user-agent') : undefined
+    }));
+    chainTail = append.catch(() => {});
+    return await append;
+  } catch (err) {
+    console.error(`❌ Failed to write audit log (${action} ${targetModel} ${targetId}):`, err.message);
+    return null;
+  }
+};
+
+// Walk the whole chain in order and report the first entry that doesn't
+// link up: a gap in seq (entry removed), a prevHash that doesn't match the
+// previous entry (reordered or replaced), or a hash that no longer matches
+// the entry's content (edited).
+exports.verifyChain = async () => {
+  let expectedSeq = 1;
+  let prevHash = AuditLog.GENESIS_HASH;
+  let checked = 0;
+  let brokenAt = null;
+
+  const cursor = AuditLog.find({ seq: { $exists: true } }).sort({ seq: 1 }).lean().cursor();
+  for await (const entry of cursor) {
+    let reason = null;
+    if (entry.seq !== expectedSeq) {
+      reason = `Expected entry ${expectedSeq} but found ${entry.seq}; entries are missing`;
+    } else if (entry.prevHash !== prevHash) {
+      reason = 'prevHash does not match the previous entry';
+    } else if (entry.hash !== AuditLog.computeHash(entry)) {
+      reason = 'Entry content does not match its hash';
+    }
+
+    if (reason) {
+      brokenAt = { seq: entry.seq, id: entry._id, timestamp: entry.timestamp, reason };
+      await cursor.close();
+      break;
+    }
+
+    checked++;
+    expectedSeq++;
+    prevHash = entry.hash;
+  }
+
+  // Entries written before chaining was introduced
+  const unchained = await AuditLog.countDocuments({ seq: { $exists: false } });
+
+  return {
+    valid: !brokenAt,
+    checked,
+    headSeq: brokenAt ? null : expectedSeq - 1,
+    headHash: brokenAt ? null : prevHash,
+    brokenAt,
+    unchained
+  };
+};
@@ -0,0 +1,138 @@
+// File: utils/auditPlugin.js
+// Mongoose plugin that records creates, updates and deletes in the AuditLog
+// while the current request has auditing switched on. The request context is
+// captured in each pre hook, before any further database round trips.
+const audit = require('./audit');
+const { getContext } = require('./requestContext');
+
+module.exports = function auditPlugin(schema, options = {}) {
+  const modelName = (doc) => options.modelName || doc.constructor.modelName;
+
+  // Snapshot loaded documents so saves can report what they changed
+  schema.post('init', function() {
+    if (audit.isAuditing()) {
+      this.$locals.auditOriginal = this.toObject({ depopulate: true, virtuals: false });
+    }
+  });
+
+  // Document.save(), including Model.create()
+  schema.pre('save', function(next) {
+    const context = getContext();
+    if (audit.isAuditing(context)) {
+      this.$locals.auditPending = {
+        req: context.req,
+        action: this.isNew ? 'create' : 'update'
+      };
+    }
+    next();
+  });
+
+  schema.post('save', async function(doc) {
+    const pending = doc.$locals.auditPending;
+    if (!pending) return;
+    delete doc.$locals.auditPending;
+
+    const after = doc.toObject({ depopulate: true, virtuals: false });
+    const before = pending.action === 'create' ? {} : (doc.$locals.auditOriginal || {});
+
+    await audit.record({
+      action: pending.action,
+      targetModel: modelName(doc),
+      targetId: doc._id,
+      changes: audit.diff(before, after)
+    }, pending.req);
+
+    doc.$locals.auditOriginal = after;
+  });
+
+  // findByIdAndUpdate / findOneAndUpdate
+  schema.pre('findOneAndUpdate', async function() {
+    const context = getContext();
+    if (!audit.isAuditing(context)) return;
+
+    this._auditReq = context.req;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndUpdate', async function() {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    const after = await this.model.findById(before._id).lean();
+    await audit.record({
+      action: 'update',
+      targetModel: this.model.modelName,
+      targetId: before._id,
+      changes: audit.diff(before, after || {})
+    }, this._auditReq);
+  });
+
+  // Model.updateMany (bulk status changes)
+  schema.pre('updateMany', async function() {
+    const context = getContext();
+    if (!audit.isAuditing(context)) return;
+
+    this._auditReq = context.req;
+    this._auditBefore = await this.model.find(this.getFilter()).lean();
+  });
+
+  schema.post('updateMany', async function() {
+    const before = this._auditBefore;
+    if (!before || before.length === 0) return;
+
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }).lean();
+    const afterById = new Map(after.map(doc => [doc._id.toString(), doc]));
+
+    for (const doc of before) {
+      await audit.record({
+        action: 'update',
+        targetModel: this.model.modelName,
+        targetId: doc._id,
+        changes: audit.diff(doc, afterById.get(doc._id.toString()) || {})
+      }, this._auditReq);
+    }
+  });
+
+  // findByIdAndDelete / findOneAndDelete
+  schema.pre('findOneAndDelete', async function() {
+    const context = getContext();
+    if (!audit.isAuditing(context)) return;
+
+    this._auditReq = context.req;
+    this._auditBefore = await this.model.findOne(this.getFilter()).lean();
+  });
+
+  schema.post('findOneAndDelete', async function() {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    await audit.record({
+      action: 'delete',
+      targetModel: this.model.modelName,
+      targetId: before._id,
+      changes: audit.diff(before, {})
+    }, this._auditReq);
+  });
+
+  // document.deleteOne()
+  schema.pre('deleteOne', { document: true, query: false }, function(next) {
+    const context = getContext();
+    if (audit.isAuditing(context)) {
+      this.$locals.auditPending = { req: context.req, action: 'delete' };
+    }
+    next();
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    const pending = doc.$locals.auditPending;
+    if (!pending) return;
+    delete doc.$locals.auditPending;
+
+    await audit.record({
+      action: 'delete',
+      targetModel: modelName(doc),
+      targetId: doc._id,
+      changes: audit.diff(doc.toObject({ depopulate: true, virtuals: false }), {})
+    }, pending.req);
+  });
+};
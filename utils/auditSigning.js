@@ -0,0 +1,44 @@
+// File: utils/auditSigning.js
+// Ed25519 key used to sign audit log exports. The private key is read from
+// AUDIT_SIGNING_KEY (PEM) or the file named by AUDIT_SIGNING_KEY_FILE;
+// generate one with `npm run audit-key`.
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHM = 'Ed25519';
+
+let cachedKey;
+
+const loadPrivateKey = () => {
+  if (cachedKey !== undefined) return cachedKey;
+
+  let pem = process.env.AUDIT_SIGNING_KEY;
+  if (!pem && process.env.AUDIT_SIGNING_KEY_FILE) {
+    pem = fs.readFileSync(process.env.AUDIT_SIGNING_KEY_FILE, 'utf8');
+  }
+
+  cachedKey = null;
+  if (pem) {
+    // Allow the PEM to be given on one line with literal "\n"s
+    const key = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    if (key.asymmetricKeyType !== 'ed25519') {
+      throw new Error('AUDIT_SIGNING_KEY must be an Ed25519 private key');
+    }
+    cachedKey = key;
+  }
+  return cachedKey;
+};
+
+exports.ALGORITHM = ALGORITHM;
+
+exports.isConfigured = () => Boolean(loadPrivateKey());
+
+// Detached signature over the exact bytes served, base64 encoded
+exports.sign = (data) => crypto.sign(null, Buffer.from(data), loadPrivateKey()).toString('base64');
+
+// Public key auditors use to check exports
+exports.publicKeyPem = () => crypto.createPublicKey(loadPrivateKey()).export({ type: 'spki', format: 'pem' });
+
+exports.fingerprint = () => crypto.createHash('sha256')
+  .update(crypto.createPublicKey(loadPrivateKey()).export({ type: 'spki', format: 'der' }))
+  .digest('hex');
@@ -0,0 +1,222 @@
+// File: utils/availability.js
+// Practitioner schedules: weekly recurring hours per location, dated
+// exceptions (closures or changed hours) and the practitioner's timezone.
+// All schedule times are wall-clock "HH:MM" in that timezone; slots come
+// back as UTC instants.
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Directory "time of day" filter ranges, local to the practitioner
+const TIMES_OF_DAY = {
+  morning: { start: '06:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '17:00' },
+  evening: { start: '17:00', end: '22:00' }
+};
+
+const MAX_SLOT_RANGE_DAYS = 62;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+exports.DAY_NAMES = DAY_NAMES;
+exports.TIMES_OF_DAY = TIMES_OF_DAY;
+exports.MAX_SLOT_RANGE_DAYS = MAX_SLOT_RANGE_DAYS;
+exports.TIME_PATTERN = TIME_PATTERN;
+exports.DATE_PATTERN = DATE_PATTERN;
+
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// "tue", "Tuesday" or 2 -> 2
+exports.parseDay = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^[0-6]$/.test(String(value))) return Number(value);
+  const index = DAY_NAMES.indexOf(String(value).toLowerCase().slice(0, 3));
+  return index === -1 ? null : index;
+};
+
+// Problems with a schedule, as messages; empty when it's valid
+exports.scheduleErrors = (schedule, locations = []) => {
+  const errors = [];
+  if (!schedule || typeof schedule !== 'object') {
+    return ['Schedule must be an object'];
+  }
+
+  if (schedule.timezone && !exports.isValidTimeZone(schedule.timezone)) {
+    errors.push(`Unknown timezone: ${schedule.timezone}`);
+  }
+
+  const checkLocation = (location, label) => {
+    if (location && !locations.includes(location)) {
+      errors.push(`${label}: ${location} is not one of the practitioner's locations`);
+    }
+  };
+
+  const checkHours = (entry, label) => {
+    if (!TIME_PATTERN.test(entry.start || '') || !TIME_PATTERN.test(entry.end || '')) {
+      errors.push(`${label}: start and end must be times like 09:00`);
+    } else if (toMinutes(entry.start) >= toMinutes(entry.end)) {
+      errors.push(`${label}: end must be after start`);
+    }
+  };
+
+  (schedule.weekly || []).forEach((entry, index) => {
+    const label = `Weekly hours #${index + 1}`;
+    if (exports.parseDay(entry.day) === null) {
+      errors.push(`${label}: day must be 0-6 or a day name`);
+    }
+    checkHours(entry, label);
+    checkLocation(entry.location, label);
+  });
+
+  (schedule.exceptions || []).forEach((entry, index) => {
+    const label = `Exception #${index + 1}`;
+    if (!DATE_PATTERN.test(entry.date || '')) {
+      errors.push(`${label}: date must look like 2025-12-25`);
+    }
+    if (entry.closed === false) {
+      checkHours(entry, label);
+    }
+    checkLocation(entry.location, label);
+  });
+
+  return errors;
+};
+
+// Wall-clock parts of an instant in a timezone
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = Number(part.value);
+  });
+  return values;
+};
+
+// Minutes the timezone is ahead of UTC at an instant
+const offsetMinutes = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+// "2025-03-04" + minutes after local midnight in `timeZone` -> Date, or null
+// when that wall-clock time is skipped by a DST change
+const zonedTimeToDate = (localDate, minutes, timeZone) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // The offset can differ either side of a DST change, so check it again at the result
+  const firstOffset = offsetMinutes(new Date(guess), timeZone);
+  const result = guess - firstOffset * 60000;
+  const secondOffset = offsetMinutes(new Date(result), timeZone);
+  const date = new Date(secondOffset === firstOffset ? result : guess - secondOffset * 60000);
+
+  // A time inside a spring-forward gap lands on a different wall-clock time
+  return offsetMinutes(date, timeZone) * 60000 + date.getTime() === guess ? date : null;
+};
+
+// Local calendar date of an instant, as "YYYY-MM-DD"
+const localDateOf = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const addDays = (localDate, days) => {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (localDate) => new Date(`${localDate}T00:00:00Z`).getUTCDay();
+
+// Opening hours for one local date, after applying exceptions
+const hoursOn = (schedule, localDate, location) => {
+  const appliesTo = (entry) => !location || !entry.location || entry.location === location;
+
+  const exceptions = (schedule.exceptions || []).filter(entry => entry.date === localDate && appliesTo(entry));
+  const weekday = weekdayOf(localDate);
+  let hours = (schedule.weekly || []).filter(entry => exports.parseDay(entry.day) === weekday && appliesTo(entry));
+
+  exceptions.forEach(exception => {
+    // An exception replaces that day's hours at its location, or everywhere
+    hours = hours.filter(entry => exception.location && entry.location && entry.location !== exception.location);
+    if (exception.closed === false) {
+      hours.push({ start: exception.start, end: exception.end, location: exception.location });
+    }
+  });
+
+  return hours;
+};
+
+// Schedules saved without a timezone use DEFAULT_TIMEZONE
+exports.timezoneOf = (practitioner) => (practitioner.schedule && practitioner.schedule.timezone) ||
+  process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// Concrete open slots between two instants. `busy` is a list of
+// { start, end } ranges (e.g. existing appointments) to leave out.
+exports.openSlots = (practitioner, from, to, { location, busy = [], now = new Date() } = {}) => {
+  const schedule = practitioner.schedule || {};
+  const timeZone = exports.timezoneOf(practitioner);
+  const slotMinutes = schedule.slotMinutes || 60;
+  const earliest = new Date(Math.max(from.getTime(), now.getTime()));
+
+  const slots = [];
+  const lastDate = localDateOf(to, timeZone);
+  for (let localDate = localDateOf(from, timeZone); localDate <= lastDate; localDate = addDays(localDate, 1)) {
+    hoursOn(schedule, localDate, location).forEach(hours => {
+      const end = toMinutes(hours.end);
+      for (let start = toMinutes(hours.start); start + slotMinutes <= end; start += slotMinutes) {
+        const slotStart = zonedTimeToDate(localDate, start, timeZone);
+        if (!slotStart) continue;
+        const slotEnd = new Date(slotStart.getTime() + slotMinutes * 60000);
+
+        if (slotStart < earliest || slotEnd > to) continue;
+        if (busy.some(range => range.start < slotEnd && range.end > slotStart)) continue;
+
+        slots.push({
+          start: slotStart,
+          end: slotEnd,
+          location: hours.location || null
+        });
+      }
+    });
+  }
+
+  // Same time at several locations stays as separate slots
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Mongo condition for practitioners with weekly hours on `day` overlapping `timeOfDay`
+exports.directoryFilter = ({ day, timeOfDay }) => {
+  const match = {};
+  if (day !== null && day !== undefined) {
+    match.day = day;
+  }
+  if (timeOfDay) {
+    const range = TIMES_OF_DAY[timeOfDay];
+    match.start = { $lt: range.end };
+    match.end = { $gt: range.start };
+  }
+  return { 'schedule.weekly': { $elemMatch: match } };
+};
@@ -0,0 +1,171 @@
+// File: utils/directorySearch.js
+// Filters, pagination and facet counts for the public practitioner directory,
+// computed in one aggregation. Facets are disjunctive: each dimension's counts
+// apply every other filter but its own, so picking one specialty still shows
+// how many practitioners the other specialties would give.
+//
+//   ?specialty=Psychology,Counselling&location=Carlton&insurance=&paymentOption=
+//    &sessionType=&minFee=&maxFee=&page=&limit=
+// Values within a dimension are alternatives (comma-separated or repeated);
+// dimensions combine with AND.
+
+exports.DEFAULT_PAGE_SIZE = 20;
+exports.MAX_PAGE_SIZE = 100;
+
+// Initial-consultation fee bands for the fee facet, each from its own value up
+// to (not including) the next; the last band is open-ended
+exports.FEE_BANDS = [0, 100, 150, 200, 250];
+
+// Query parameter -> document path. Array paths hold several values per
+// practitioner. `match` and `values` override how a dimension is filtered and
+// which values it counts.
+const DIMENSIONS = {
+  specialty: { path: 'specialty', isArray: false },
+  // Each location's city, or its label when no city is known (e.g. locations
+  // migrated from free text), so every practitioner has a location value
+  location: {
+    isArray: true,
+    match: (values) => ({ $or: [{ 'locations.city': { $in: values } }, { 'locations.label': { $in: values } }] }),
+    values: {
+      $map: {
+        input: { $ifNull: ['$locations', []] },
+        as: 'location',
+        in: { $ifNull: ['$$location.city', '$$location.label'] }
+      }
+    }
+  },
+  insurance: { path: 'insurances', isArray: true },
+  paymentOption: { path: 'paymentOptions', isArray: true },
+  sessionType: { path: 'sessionTypes', isArray: true }
+};
+
+exports.DIMENSIONS = Object.keys(DIMENSIONS);
+
+// ?insurance=a,b and ?insurance=a&insurance=b both give ['a', 'b']
+const listParam = (value) => [].concat(value || [])
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const feeParam = (value) => (value === undefined || value === '' ? null : Number(value));
+
+// Read the filters and page from the query string. Returns { filters, page, limit } or { error }.
+exports.parseQuery = (query) => {
+  const filters = {};
+  exports.DIMENSIONS.forEach(name => {
+    const values = listParam(query[name]);
+    if (values.length > 0) filters[name] = values;
+  });
+
+  const minFee = feeParam(query.minFee);
+  const maxFee = feeParam(query.maxFee);
+  if ([minFee, maxFee].some(fee => fee !== null && !(fee >= 0))) {
+    return { error: 'minFee and maxFee must be numbers of 0 or more' };
+  }
+  if (minFee !== null && maxFee !== null && minFee > maxFee) {
+    return { error: 'minFee cannot be more than maxFee' };
+  }
+  if (minFee !== null || maxFee !== null) {
+    filters.fee = { min: minFee, max: maxFee };
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || exports.DEFAULT_PAGE_SIZE, 1), exports.MAX_PAGE_SIZE);
+
+  return { filters, page, limit };
+};
+
+// $match conditions for the chosen filters, leaving out `except`
+const conditions = (filters, except) => {
+  const match = [];
+  Object.entries(filters).forEach(([name, value]) => {
+    if (name === except) return;
+
+    if (name === 'fee') {
+      const range = {};
+      if (value.min !== null) range.$gte = value.min;
+      if (value.max !== null) range.$lte = value.max;
+      match.push({ 'fees.initial': range });
+    } else {
+      const dimension = DIMENSIONS[name];
+      match.push(dimension.match ? dimension.match(value) : { [dimension.path]: { $in: value } });
+    }
+  });
+  return match.length > 0 ? { $and: match } : {};
+};
+
+// Count practitioners per value; each practitioner counts once per value
+const valueCounts = ({ path, isArray, values }) => [
+  { $project: { value: isArray ? { $setUnion: [{ $ifNull: [values || `$${path}`, []] }, []] } : `$${path}` } },
+  ...(isArray ? [{ $unwind: '$value' }] : []),
+  { $match: { value: { $nin: [null, ''] } } },
+  { $group: { _id: '$value', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+const feeCounts = () => [
+  { $match: { 'fees.initial': { $type: 'number' } } },
+  {
+    $bucket: {
+      groupBy: '$fees.initial',
+      boundaries: [...exports.FEE_BANDS, Number.MAX_VALUE],
+      default: 'other',
+      output: { count: { $sum: 1 } }
+    }
+  }
+];
+
+// $facet stage: one page of results, the total, and counts per dimension.
+// `sort` and `project` shape the results page.
+exports.facetStage = ({ filters, page, limit, sort, project }) => {
+  const facets = {
+    results: [
+      { $match: conditions(filters) },
+      { $sort: sort },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      { $project: project }
+    ],
+    total: [
+      { $match: conditions(filters) },
+      { $count: 'count' }
+    ],
+    fee: [{ $match: conditions(filters, 'fee') }, ...feeCounts()]
+  };
+
+  Object.entries(DIMENSIONS).forEach(([name, dimension]) => {
+    facets[name] = [{ $match: conditions(filters, name) }, ...valueCounts(dimension)];
+  });
+
+  return { $facet: facets };
+};
+
+// The single $facet output document -> { results, totalCount, facets }
+exports.shapeResult = (output = {}, filters = {}) => {
+  const facets = {};
+  exports.DIMENSIONS.forEach(name => {
+    const selected = filters[name] || [];
+    facets[name] = (output[name] || []).map(({ _id, count }) => ({
+      value: _id,
+      count,
+      selected: selected.includes(_id)
+    }));
+  });
+
+  facets.fee = (output.fee || [])
+    .filter(band => band._id !== 'other')
+    .map(({ _id, count }) => {
+      const index = exports.FEE_BANDS.indexOf(_id);
+      return {
+        min: _id,
+        max: index < exports.FEE_BANDS.length - 1 ? exports.FEE_BANDS[index + 1] : null,
+        count
+      };
+    });
+
+  return {
+    results: output.results || [],
+    totalCount: output.total && output.total[0] ? output.total[0].count : 0,
+    facets
+  };
+};
@@ -0,0 +1,249 @@
+// File: utils/emailTemplates.js
+// Subject/text/html for every transactional email. Keep the wording here so
+// routes only decide when to send.
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (paragraphs, link) => {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const button = link
+    ? `<p><a href="${escapeHtml(link.url)}">${escapeHtml(link.label)}</a></p>`
+    : '';
+  return `${body}\n${button}\n<p>Vibrant Health</p>`;
+};
+
+exports.passwordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your Vibrant Health password',
+  text: [
+    `Hi ${name},`,
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    resetUrl,
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not ask for this, you can ignore this email; your password will not change.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'We received a request to reset your password. Use the link below to choose a new one.',
+    `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not ask for this, you can ignore this email; your password will not change.'
+  ], { url: resetUrl, label: 'Reset password' })
+});
+
+exports.adminPasswordReset = ({ name, resetUrl, expiresInMinutes }) => ({
+  subject: 'Your Vibrant Health password has been reset',
+  text: [
+    `Hi ${name},`,
+    'An administrator has reset your password and signed you out of all devices. Use the link below to choose a new one:',
+    resetUrl,
+    `The link expires in ${expiresInMinutes} minutes. After that, use "Forgot password" on the sign-in page.`
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'An administrator has reset your password and signed you out of all devices. Use the link below to choose a new one.',
+    `The link expires in ${expiresInMinutes} minutes. After that, use "Forgot password" on the sign-in page.`
+  ], { url: resetUrl, label: 'Choose a new password' })
+});
+
+exports.passwordChanged = ({ name }) => ({
+  subject: 'Your Vibrant Health password was changed',
+  text: [
+    `Hi ${name},`,
+    'The password for your account was just changed and all devices were signed out.',
+    'If this was not you, contact an administrator immediately.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'The password for your account was just changed and all devices were signed out.',
+    'If this was not you, contact an administrator immediately.'
+  ])
+});
+
+exports.emailVerification = ({ name, verifyUrl, expiresIn }) => ({
+  subject: 'Confirm your Vibrant Health email address',
+  text: [
+    `Hi ${name},`,
+    'Please confirm your email address by opening the link below:',
+    verifyUrl,
+    `The link is valid for ${expiresIn}.`
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'Please confirm your email address using the link below.',
+    `The link is valid for ${expiresIn}.`
+  ], { url: verifyUrl, label: 'Confirm email address' })
+});
+
+exports.invitation = ({ name, inviterName, acceptUrl, expiresAt }) => ({
+  subject: 'You have been invited to the Vibrant Health admin portal',
+  text: [
+    `Hi ${name},`,
+    `${inviterName} has created a staff account for you. Open the link below to choose your password and activate it:`,
+    acceptUrl,
+    `The invitation expires on ${expiresAt.toUTCString()}.`
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    `${inviterName} has created a staff account for you. Use the link below to choose your password and activate it.`,
+    `The invitation expires on ${expiresAt.toUTCString()}.`
+  ], { url: acceptUrl, label: 'Accept invitation' })
+});
+
+exports.registrationApproved = ({ name, loginUrl }) => ({
+  subject: 'Your Vibrant Health practitioner account is approved',
+  text: [
+    `Hi ${name},`,
+    'Your practitioner registration has been approved. You can now sign in:',
+    loginUrl
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'Your practitioner registration has been approved. You can now sign in.'
+  ], { url: loginUrl, label: 'Sign in' })
+});
+
+exports.registrationRejected = ({ name, reason }) => ({
+  subject: 'Your Vibrant Health practitioner registration',
+  text: [
+    `Hi ${name},`,
+    'Unfortunately we were unable to approve your practitioner registration.',
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'Unfortunately we were unable to approve your practitioner registration.',
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ])
+});
+
+// Appointment emails. `when` is already formatted in the practitioner's timezone.
+const appointmentDetails = ({ practitionerName, sessionType, location, when }) => [
+  `Practitioner: ${practitionerName}`,
+  `Session: ${sessionType}`,
+  location ? `Location: ${location}` : null,
+  `When: ${when}`
+].filter(Boolean);
+
+const appointmentEmail = (subject, intro, outro) => (details) => {
+  const paragraphs = [
+    `Hi ${details.name},`,
+    intro(details),
+    ...appointmentDetails(details),
+    outro ? outro(details) : null
+  ].filter(Boolean);
+
+  return {
+    subject: subject(details),
+    text: paragraphs.join('\n\n'),
+    html: layout(paragraphs)
+  };
+};
+
+exports.appointmentRequested = appointmentEmail(
+  ({ practitionerName }) => `Appointment request received: ${practitionerName}`,
+  () => 'We have received your appointment request. It is not confirmed yet; we will email you once the practice has reviewed it.'
+);
+
+exports.appointmentRequestReceived = appointmentEmail(
+  ({ patientName }) => `New appointment request from ${patientName}`,
+  ({ patientName, patientEmail, patientPhone }) =>
+    `${patientName} (${[patientEmail, patientPhone].filter(Boolean).join(', ')}) has requested an appointment.`,
+  () => 'Review it in the admin portal under Appointments.'
+);
+
+exports.appointmentConfirmed = appointmentEmail(
+  ({ practitionerName }) => `Appointment confirmed: ${practitionerName}`,
+  () => 'Your appointment is confirmed.',
+  () => 'If you can no longer attend, please contact the practice as soon as possible.'
+);
+
+exports.appointmentDeclined = appointmentEmail(
+  ({ practitionerName }) => `Appointment request declined: ${practitionerName}`,
+  () => 'Unfortunately the practice could not accept your appointment request.',
+  ({ note }) => (note ? `Reason: ${note}` : 'You are welcome to request a different time.')
+);
+
+exports.appointmentRescheduled = appointmentEmail(
+  ({ practitionerName }) => `Appointment moved: ${practitionerName}`,
+  ({ previousWhen }) => `Your appointment has been moved from ${previousWhen} to the time below.`,
+  ({ note }) => (note ? `Note from the practice: ${note}` : null)
+);
+
+exports.appointmentCancelled = appointmentEmail(
+  ({ practitionerName }) => `Appointment cancelled: ${practitionerName}`,
+  () => 'Your appointment has been cancelled.',
+  ({ note }) => (note ? `Reason: ${note}` : null)
+);
+
+exports.practitionerProfileApproved = ({ name, loginUrl }) => ({
+  subject: 'Your profile changes are live',
+  text: [
+    `Hi ${name},`,
+    'The changes you proposed to your practitioner profile have been approved and are now visible in the directory.',
+    loginUrl
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'The changes you proposed to your practitioner profile have been approved and are now visible in the directory.'
+  ], { url: loginUrl, label: 'View your profile' })
+});
+
+exports.practitionerProfileRejected = ({ name, reason }) => ({
+  subject: 'Your profile changes were not approved',
+  text: [
+    `Hi ${name},`,
+    'The changes you proposed to your practitioner profile were not approved.',
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    'The changes you proposed to your practitioner profile were not approved.',
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ])
+});
+
+exports.practitionerClaimVerification = ({ name, claimantName, claimantEmail, verifyUrl, expiresInHours }) => ({
+  subject: 'Confirm you want to manage your Vibrant Health profile',
+  text: [
+    `Hi ${name},`,
+    `${claimantName} (${claimantEmail}) has asked to manage your practitioner profile in the Vibrant Health directory. If that is you, sign in to that account and open the link below:`,
+    verifyUrl,
+    `The link expires in ${expiresInHours} hours and can only be used once.`,
+    'If you did not ask for this, ignore this email and nothing will change. The link only works for the account that asked.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    `${claimantName} (${claimantEmail}) has asked to manage your practitioner profile in the Vibrant Health directory. If that is you, sign in to that account and use the link below.`,
+    `The link expires in ${expiresInHours} hours and can only be used once.`,
+    'If you did not ask for this, ignore this email and nothing will change. The link only works for the account that asked.'
+  ], { url: verifyUrl, label: 'Confirm and claim profile' })
+});
+
+exports.practitionerClaimApproved = ({ name, profileName, loginUrl }) => ({
+  subject: 'Your practitioner profile is now linked to your account',
+  text: [
+    `Hi ${name},`,
+    `Your claim for the profile "${profileName}" has been approved. You can now propose changes to it after signing in:`,
+    loginUrl
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    `Your claim for the profile "${profileName}" has been approved. You can now propose changes to it after signing in.`
+  ], { url: loginUrl, label: 'Sign in' })
+});
+
+exports.practitionerClaimRejected = ({ name, profileName, reason }) => ({
+  subject: 'Your practitioner profile claim',
+  text: [
+    `Hi ${name},`,
+    `We were unable to approve your claim for the profile "${profileName}".`,
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ].join('\n\n'),
+  html: layout([
+    `Hi ${name},`,
+    `We were unable to approve your claim for the profile "${profileName}".`,
+    reason ? `Reason: ${reason}` : 'Please contact us if you have any questions.'
+  ])
+});
@@ -0,0 +1,40 @@
+// File: utils/emailVerification.js
+// EMAIL_VERIFICATION_MODE controls what an unverified address costs the user:
+//   off      - nothing (default)
+//   restrict - routes guarded by requireVerifiedEmail answer 403
+//   block    - login is refused until the address is verified
+const { sendMail, appUrl } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+exports.verificationMode = () => {
+  const mode = (process.env.EMAIL_VERIFICATION_MODE || 'off').toLowerCase();
+  return ['off', 'restrict', 'block'].includes(mode) ? mode : 'off';
+};
+
+const resendIntervalMs = () => {
+  return (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60) * 1000;
+};
+
+// Seconds until another link may be sent to this user (0 when allowed)
+exports.resendWaitSeconds = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+
+  const elapsed = Date.now() - user.emailVerificationSentAt.getTime();
+  return Math.max(0, Math.ceil((resendIntervalMs() - elapsed) / 1000));
+};
+
+// Issue a fresh verification link and email it to the user
+exports.sendVerificationEmail = async (user) => {
+  const token = user.getEmailVerificationToken();
+
+  user.emailVerificationSentAt = new Date();
+  await user.save({ validateModifiedOnly: true });
+
+  const message = emailTemplates.emailVerification({
+    name: user.name,
+    verifyUrl: appUrl(`/verify-email/${token}`),
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  });
+
+  return sendMail({ to: user.email, ...message });
+};
@@ -0,0 +1,64 @@
+// File: utils/impersonation.js
+// "Act as" for support staff. An impersonation token is an access token for
+// the target user that also names the impersonator; it can't be refreshed,
+// can't be used for sensitive actions, and every request made with it is
+// recorded in ImpersonationRequest.
+const jwt = require('jsonwebtoken');
+const Impersonation = require('../models/Impersonation');
+const ImpersonationRequest = require('../models/ImpersonationRequest');
+
+const DEFAULT_MINUTES = 15;
+const MAX_MINUTES = 60;
+
+// Refused while impersonating, whatever the target's permissions
+const BLOCKED_ROUTES = [
+  { methods: ['DELETE'], path: /^\/api\// },
+  { methods: ['POST', 'PUT'], path: /^\/api\/auth\/(change-password|logout-all)$/ },
+  { methods: ['GET', 'POST', 'PUT', 'DELETE'], path: /^\/api\/(auth\/mfa|api-keys|impersonation)(\/|$)/ },
+  { methods: ['POST', 'PUT'], path: /^\/api\/(approvals|roles)(\/|$)/ },
+  { methods: ['POST'], path: /^\/api\/employees\/[^/]+\/reset-password$/ }
+];
+
+// Token lifetime in minutes, from the request or IMPERSONATION_MINUTES
+exports.lifetimeMinutes = (requested) => {
+  const minutes = parseInt(requested, 10) || parseInt(process.env.IMPERSONATION_MINUTES, 10) || DEFAULT_MINUTES;
+  return Math.min(Math.max(minutes, 1), MAX_MINUTES);
+};
+
+// Access token for the target; `imp` marks it as an impersonation token and
+// `sid` is the impersonator's own session
+exports.signToken = (impersonation) => jwt.sign(
+  {
+    id: impersonation.target.toString(),
+    sid: impersonation.session.toString(),
+    imp: impersonation._id.toString(),
+    act: impersonation.impersonator.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: Math.max(Math.floor((impersonation.expiresAt - Date.now()) / 1000), 1) }
+);
+
+exports.isBlocked = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  return BLOCKED_ROUTES.some(rule => rule.methods.includes(req.method) && rule.path.test(path));
+};
+
+// Record the request once the response has been sent
+exports.trackRequest = (req, res, impersonation) => {
+  res.on('finish', () => {
+    ImpersonationRequest.create({
+      impersonation: impersonation._id,
+      impersonator: impersonation.impersonator,
+      target: impersonation.target,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      query: Object.keys(req.query || {}).length > 0 ? req.query : undefined,
+      statusCode: res.statusCode,
+      blocked: Boolean(res.locals.impersonationBlocked),
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    })
+      .then(() => Impersonation.updateOne({ _id: impersonation._id }, { $inc: { requestCount: 1 } }))
+      .catch(err => console.error(`❌ Failed to record impersonated request (${impersonation._id}):`, err.message));
+  });
+};
@@ -0,0 +1,19 @@
+// File: utils/invitations.js
+const { sendMail, appUrl } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+// Issue a fresh invitation link for an invited user and email it
+exports.sendInvitation = async (user, inviter) => {
+  const token = user.getInvitationToken(inviter ? inviter.id : null);
+  user.status = 'invited';
+  await user.save({ validateModifiedOnly: true });
+
+  const message = emailTemplates.invitation({
+    name: user.name,
+    inviterName: inviter ? inviter.name : 'An administrator',
+    acceptUrl: appUrl(`/accept-invite/${token}`),
+    expiresAt: user.invitation.expiresAt
+  });
+
+  return sendMail({ to: user.email, ...message });
+};
@@ -0,0 +1,137 @@
+// File: utils/locations.js
+// Structured practitioner locations. Each has a label (what patients see, and
+// what schedules and appointments refer to), address parts and a GeoJSON
+// point for the 2dsphere index. The point comes from explicit coordinates,
+// or from the postcode via the offline dataset (utils/postcodes.js).
+const postcodes = require('./postcodes');
+
+exports.DEFAULT_RADIUS_KM = 25;
+exports.MAX_RADIUS_KM = 500;
+
+const ADDRESS_FIELDS = ['street', 'city', 'region', 'postcode', 'country'];
+
+const isLatitude = (value) => typeof value === 'number' && value >= -90 && value <= 90;
+const isLongitude = (value) => typeof value === 'number' && value >= -180 && value <= 180;
+
+exports.point = (latitude, longitude) => ({ type: 'Point', coordinates: [longitude, latitude] });
+
+// Labels of a practitioner's locations (plain strings from before locations were structured count too)
+exports.labels = (locations = []) => locations
+  .map(location => (typeof location === 'string' ? location : location && location.label))
+  .filter(Boolean);
+
+// Coordinates given with the location: latitude/longitude, or a GeoJSON point
+// sent back unchanged from a previous response. Points that came from the
+// postcode are recomputed instead, in case the postcode changed.
+const explicitCoordinates = (input) => {
+  if (input.latitude !== undefined || input.longitude !== undefined) {
+    return { latitude: parseFloat(input.latitude), longitude: parseFloat(input.longitude) };
+  }
+  if (input.point && input.geocodedFrom !== 'postcode' && Array.isArray(input.point.coordinates)) {
+    const [longitude, latitude] = input.point.coordinates;
+    return { latitude, longitude };
+  }
+  return null;
+};
+
+// Turn request input (address objects, or plain strings) into location
+// documents. Returns { locations, errors }.
+exports.parseLocations = (input) => {
+  const errors = [];
+  if (!Array.isArray(input)) {
+    return { locations: [], errors: ['locations must be a list'] };
+  }
+
+  const locations = input.map((entry, index) => {
+    const label = `locations[${index}]`;
+
+    // Legacy free text: keep it as the label and pick out a known postcode
+    if (typeof entry === 'string') {
+      entry = { label: entry, postcode: postcodes.findInText(entry) };
+    }
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an address or a name`);
+      return null;
+    }
+
+    const location = { label: String(entry.label || '').trim() };
+    ADDRESS_FIELDS.forEach(field => {
+      if (entry[field]) location[field] = String(entry[field]).trim();
+    });
+    if (location.postcode) location.postcode = postcodes.normalize(location.postcode);
+
+    // Unlabelled addresses are named after their street and city
+    if (!location.label) {
+      location.label = [location.street, location.city].filter(Boolean).join(', ');
+    }
+    if (!location.label) {
+      errors.push(`${label} needs a label or an address`);
+      return null;
+    }
+
+    const coordinates = explicitCoordinates(entry);
+    if (coordinates) {
+      if (!isLatitude(coordinates.latitude) || !isLongitude(coordinates.longitude)) {
+        errors.push(`${label}: latitude must be -90 to 90 and longitude -180 to 180`);
+        return null;
+      }
+      location.point = exports.point(coordinates.latitude, coordinates.longitude);
+      location.geocodedFrom = 'coordinates';
+    } else if (location.postcode) {
+      const centroid = postcodes.lookup(location.postcode);
+      if (centroid) {
+        location.point = exports.point(centroid.latitude, centroid.longitude);
+        location.geocodedFrom = 'postcode';
+      }
+    }
+
+    return location;
+  });
+
+  const seen = new Set();
+  locations.filter(Boolean).forEach(location => {
+    const key = location.label.toLowerCase();
+    if (seen.has(key)) errors.push(`${location.label} is listed more than once`);
+    seen.add(key);
+  });
+
+  return { locations: locations.filter(Boolean), errors };
+};
+
+// "lat,lng" -> { latitude, longitude }, or null
+exports.parseLatLng = (text) => {
+  const parts = String(text || '').split(',').map(part => part.trim());
+  if (parts.length !== 2 || parts.some(part => part === '' || isNaN(Number(part)))) return null;
+
+  const [latitude, longitude] = parts.map(Number);
+  return isLatitude(latitude) && isLongitude(longitude) ? { latitude, longitude } : null;
+};
+
+// Where a directory search is centred, from ?near=lat,lng or ?postcode=, plus
+// the radius. Returns { origin } or { error }; { origin: null } when neither is given.
+exports.searchOrigin = ({ near, postcode, radius }) => {
+  if (!near && !postcode) return { origin: null };
+  if (near && postcode) return { error: 'Use either near or postcode, not both' };
+
+  let origin;
+  if (near) {
+    origin = exports.parseLatLng(near);
+    if (!origin) return { error: 'near must look like -37.81,144.96 (latitude,longitude)' };
+  } else {
+    const centroid = postcodes.lookup(postcode);
+    if (!centroid) return { error: `Unknown postcode ${postcode}` };
+    origin = { latitude: centroid.latitude, longitude: centroid.longitude, postcode: postcodes.normalize(postcode), place: centroid.place };
+  }
+
+  const radiusKm = radius === undefined ? exports.DEFAULT_RADIUS_KM : Number(radius);
+  if (!(radiusKm > 0) || radiusKm > exports.MAX_RADIUS_KM) {
+    return { error: `radius must be between 0 and ${exports.MAX_RADIUS_KM} km` };
+  }
+
+  return { origin: { ...origin, radiusKm } };
+};
+
+// The location whose point $geoNear matched (includeLocs), by coordinates
+exports.matchingLocation = (locations = [], point) => locations.find(location => location.point &&
+  point && location.point.coordinates[0] === point.coordinates[0] &&
+  location.point.coordinates[1] === point.coordinates[1]) || null;
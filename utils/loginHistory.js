@@ -0,0 +1,44 @@
+// File: utils/loginHistory.js
+const LoginEvent = require('../models/LoginEvent');
+
+// Record a sign-in attempt. Never throws: a failed write is logged rather
+// than failing the login.
+exports.recordLogin = async (req, { user, email, success, method = 'password', mfaUsed = false, failureReason = null, session = null }) => {
+  try {
+    return await LoginEvent.create({
+      user: user ? user._id : null,
+      email: email || (user ? user.email : undefined),
+      success,
+      method,
+      mfaUsed,
+      failureReason: success ? null : failureReason,
+      session: session ? session._id : null,
+      ip: req.ip || '',
+      userAgent: req.get('user-agent') || ''
+    });
+  } catch (err) {
+    console.error(`❌ Failed to record login event for ${email || (user && user.email)}:`, err.message);
+    return null;
+  }
+};
+
+// Paginated history for one user, newest first
+exports.historyForUser = async (userId, { page = 1, limit = 50 } = {}) => {
+  const pageSize = Math.min(parseInt(limit) || 50, 200);
+  const currentPage = parseInt(page) || 1;
+
+  const [events, totalCount] = await Promise.all([
+    LoginEvent.find({ user: userId })
+      .sort({ timestamp: -1 })
+      .limit(pageSize)
+      .skip((currentPage - 1) * pageSize),
+    LoginEvent.countDocuments({ user: userId })
+  ]);
+
+  return {
+    data: events,
+    totalCount,
+    currentPage,
+    totalPages: Math.ceil(totalCount / pageSize)
+  };
+};
@@ -0,0 +1,198 @@
+// File: utils/loginThrottle.js
+// Brute-force protection for password logins. Failures are counted per account
+// and per client IP; after a few failures each attempt has to wait an
+// exponentially growing delay, and past the lockout threshold the key is
+// locked for a while and unlocks on its own.
+//
+// LOGIN_THROTTLE_STORE=mongo (default) keeps counters in MongoDB; =memory keeps
+// them in-process, which is enough for a single-instance deployment.
+const LoginThrottle = require('../models/LoginThrottle');
+
+const settings = () => ({
+  delayAfterFailures: parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES, 10) || 3,
+  maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 60,
+  accountLockoutThreshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 10,
+  ipLockoutThreshold: parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD, 10) || 50,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60
+});
+
+const memoryStore = {
+  records: new Map(),
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      this.records.delete(key);
+      return null;
+    }
+    return record || null;
+  },
+
+  async recordFailure(key, now, expiresAt) {
+    const record = (await this.get(key)) || { key, failures: 0, lockedUntil: null };
+    record.failures += 1;
+    record.lastFailureAt = now;
+    record.expiresAt = expiresAt;
+    this.records.set(key, record);
+    return { ...record };
+  },
+
+  async lock(key, lockedUntil) {
+    const record = this.records.get(key);
+    if (record) {
+      record.lockedUntil = lockedUntil;
+      if (record.expiresAt < lockedUntil) record.expiresAt = lockedUntil;
+    }
+  },
+
+  async reset(key) {
+    this.records.delete(key);
+  }
+};
+
+const mongoStore = {
+  async get(key) {
+    return LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+  },
+
+  // A counter past expiresAt may linger until the TTL monitor removes it (up
+  // to a minute), so it starts over here rather than carrying on from the old count
+  async recordFailure(key, now, expiresAt) {
+    const expired = { $lte: ['$expiresAt', now] };
+    return LoginThrottle.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [expired, 1, { $add: ['$failures', 1] }] },
+          lockedUntil: { $cond: [expired, null, '$lockedUntil'] },
+          lastFailureAt: now,
+          expiresAt
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+  },
+
+  async lock(key, lockedUntil) {
+    await LoginThrottle.updateOne(
+      { key },
+      { $set: { lockedUntil }, $max: { expiresAt: lockedUntil } }
+    );
+  },
+
+  async reset(key) {
+    await LoginThrottle.deleteOne({ key });
+  }
+};
+
+const store = () => (process.env.LOGIN_THROTTLE_STORE === 'memory' ? memoryStore : mongoStore);
+
+const accountKey = (email) => `account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// Delay required after `failures` consecutive failures
+const delaySeconds = (failures) => {
+  const { delayAfterFailures, maxDelaySeconds } = settings();
+  if (failures < delayAfterFailures) return 0;
+  return Math.min(2 ** (failures - delayAfterFailures), maxDelaySeconds);
+};
+
+// Seconds until this key may attempt again; expired locks are cleared here
+const waitSeconds = async (key, now) => {
+  const record = await store().get(key);
+  if (!record) return { wait: 0 };
+
+  if (record.lockedUntil) {
+    if (record.lockedUntil > now) {
+      return { wait: Math.ceil((record.lockedUntil - now) / 1000), locked: true };
+    }
+    await store().reset(key);
+    return { wait: 0 };
+  }
+
+  const readyAt = record.lastFailureAt.getTime() + delaySeconds(record.failures) * 1000;
+  return { wait: Math.max(0, Math.ceil((readyAt - now.getTime()) / 1000)) };
+};
+
+// Whether a login attempt may proceed. Returns { allowed, retryAfterSeconds, locked }
+exports.check = async (email, ip) => {
+  const now = new Date();
+  const [account, client] = await Promise.all([
+    waitSeconds(accountKey(email), now),
+    waitSeconds(ipKey(ip), now)
+  ]);
+
+  const retryAfterSeconds = Math.max(account.wait, client.wait);
+  return {
+    allowed: retryAfterSeconds === 0,
+    retryAfterSeconds,
+    locked: Boolean(account.locked || client.locked)
+  };
+};
+
+// Count a failed attempt. Returns { accountLockedUntil } when this failure
+// pushed the account over the lockout threshold.
+exports.recordFailure = async (email, ip) => {
+  const now = new Date();
+  const config = settings();
+  const expiresAt = new Date(now.getTime() + config.failureWindowMinutes * 60 * 1000);
+  const lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+
+  const [account, client] = await Promise.all([
+    store().recordFailure(accountKey(email), now, expiresAt),
+    store().recordFailure(ipKey(ip), now, expiresAt)
+  ]);
+
+  if (client.failures >= config.ipLockoutThreshold && !client.lockedUntil) {
+    await store().lock(ipKey(ip), lockedUntil);
+    console.warn(`🔒 Login attempts from ${ip} locked until ${lockedUntil.toISOString()}`);
+  }
+
+  if (account.failures >= config.accountLockoutThreshold && !account.lockedUntil) {
+    await store().lock(accountKey(email), lockedUntil);
+    console.warn(`🔒 Account ${email} locked until ${lockedUntil.toISOString()}`);
+    return { accountLockedUntil: lockedUntil, failures: account.failures };
+  }
+
+  return { accountLockedUntil: null, failures: account.failures };
+};
+
+// Fixed-window rate limit on the same store, for public endpoints that aren't
+// logins (e.g. appointment requests). Counts this call and returns
+// { allowed, retryAfterSeconds } once `limit` calls were made in the window.
+exports.consume = async (key, limit, windowMinutes) => {
+  const now = new Date();
+  const record = await store().get(key);
+
+  if (record && record.failures >= limit) {
+    return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((record.expiresAt - now) / 1000)) };
+  }
+
+  const expiresAt = record ? record.expiresAt : new Date(now.getTime() + windowMinutes * 60 * 1000);
+  await store().recordFailure(key, now, expiresAt);
+  return { allowed: true, retryAfterSeconds: 0 };
+};
+
+// Clear the account counter after a successful login. The IP counter is left
+// alone so one valid account can't reset an attacker's budget.
+exports.recordSuccess = async (email) => {
+  await store().reset(accountKey(email));
+};
+
+// Admin unlock
+exports.unlock = async (email) => {
+  await store().reset(accountKey(email));
+};
+
+// Current counter for an account, for admin views
+exports.getAccountState = async (email) => {
+  const record = await store().get(accountKey(email));
+  const now = new Date();
+
+  return {
+    failedAttempts: record ? record.failures : 0,
+    locked: Boolean(record && record.lockedUntil && record.lockedUntil > now),
+    lockedUntil: record && record.lockedUntil > now ? record.lockedUntil : null
+  };
+};
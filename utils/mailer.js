@@ -0,0 +1,105 @@
+// File: utils/mailer.js
+// Pluggable outbound mail. MAIL_TRANSPORT selects the transport:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_EMAIL/SMTP_PASSWORD
+//   file    - write .eml files to MAIL_OUTBOX_DIR (default <tmpdir>/vha-mail-outbox) for local runs
+//   console - print the message to the log
+// Defaults to smtp when SMTP_HOST is set, otherwise console. console and file
+// keep the full message, including live reset and invitation links, so they
+// are refused when NODE_ENV=production.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let customTransport = null;
+let cachedTransport = null;
+let cachedKind = null;
+
+const transportKind = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+// Throws when the configured transport isn't allowed here; server.js calls
+// this at startup so a production deploy without SMTP fails immediately
+exports.checkConfiguration = () => {
+  const kind = transportKind();
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(kind)) {
+    throw new Error(`MAIL_TRANSPORT "${kind}" writes links to logs or disk and is not allowed in production. Configure SMTP_HOST.`);
+  }
+  return kind;
+};
+
+const createTransport = (kind) => {
+  switch (kind) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: parseInt(process.env.SMTP_PORT, 10) === 465,
+        auth: process.env.SMTP_EMAIL ? {
+          user: process.env.SMTP_EMAIL,
+          pass: process.env.SMTP_PASSWORD
+        } : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${kind}". Use smtp, file or console.`);
+  }
+};
+
+const getTransport = () => {
+  if (customTransport) return customTransport;
+
+  const kind = exports.checkConfiguration();
+  if (!cachedTransport || cachedKind !== kind) {
+    cachedTransport = createTransport(kind);
+    cachedKind = kind;
+  }
+  return cachedTransport;
+};
+
+// Swap in any nodemailer-compatible transport (an object with sendMail), or
+// pass null to go back to the configured one
+exports.setTransport = (transport) => {
+  customTransport = transport;
+};
+
+// Build an absolute link into the frontend
+exports.appUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${pathname}`;
+};
+
+// Send a message: { to, subject, text, html }
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@vibrant-health.org';
+  const fromName = process.env.FROM_NAME || 'Vibrant Health Administration';
+
+  const info = await getTransport().sendMail({
+    from: `"${fromName}" <${fromEmail}>`,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!customTransport && cachedKind === 'file') {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'vha-mail-outbox'));
+    fs.mkdirSync(outboxDir, { recursive: true });
+    const filePath = path.join(outboxDir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    fs.writeFileSync(filePath, info.message);
+    console.log(`📧 Mail to ${to} written to ${filePath}`);
+  } else if (!customTransport && cachedKind === 'console') {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+  } else {
+    console.log(`📧 Mail sent to ${to}: ${subject}`);
+  }
+
+  return info;
+};
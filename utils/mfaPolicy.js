@@ -0,0 +1,28 @@
+// File: utils/mfaPolicy.js
+// Staff (employee-role) accounts must use multi-factor authentication. Until
+// they enroll, a password login only gets a session restricted to enrolling
+// (see middleware/authMiddleware.js). Single sign-on sessions are left to the
+// identity provider's own MFA.
+//   STAFF_MFA_GRACE_UNTIL (date, e.g. 2026-12-01) lets staff keep signing in
+//   normally until then while they enroll; unset means enforced now
+const { employeeRoleNames } = require('./policy');
+
+exports.graceUntil = () => {
+  const date = new Date(process.env.STAFF_MFA_GRACE_UNTIL);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+exports.isEnforced = () => {
+  const graceUntil = exports.graceUntil();
+  return !graceUntil || graceUntil <= new Date();
+};
+
+// Whether this account should enroll: staff without MFA enabled
+exports.needsEnrollment = async (user) => !(user.mfa && user.mfa.enabled) &&
+  (await employeeRoleNames()).includes(user.role);
+
+// For login and /me responses: null, or { enforced, deadline }
+exports.enrollmentStatus = async (user) => {
+  if (!(await exports.needsEnrollment(user))) return null;
+  return { enforced: exports.isEnforced(), deadline: exports.isEnforced() ? null : exports.graceUntil() };
+};
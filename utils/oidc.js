@@ -0,0 +1,181 @@
+// File: utils/oidc.js
+// OpenID Connect single sign-on for staff (authorization code flow with PKCE).
+// Provider metadata and signing keys come from the issuer's discovery document;
+// ID tokens are verified against those keys. Group claims are mapped to roles
+// and departments through OIDC_ROLE_MAP / OIDC_DEPARTMENT_MAP.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const METADATA_TTL_MS = 60 * 60 * 1000;
+
+let metadataCache = null;
+let jwksCache = null;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+exports.isEnabled = () => Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+
+exports.settings = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.OIDC_REDIRECT_URI ||
+    `http://localhost:${process.env.PORT || 5000}/api/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile groups',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  autoCreate: process.env.OIDC_AUTO_CREATE === 'true',
+  disablePasswordLogin: process.env.OIDC_DISABLE_PASSWORD_LOGIN === 'true',
+  // Link existing accounts by email even when the IdP doesn't send email_verified: true
+  trustUnverifiedEmail: process.env.OIDC_TRUST_UNVERIFIED_EMAIL === 'true'
+});
+
+// "group=value,group=value" (or a JSON object) into an ordered list of [group, value]
+const parseMap = (raw) => {
+  if (!raw) return [];
+  const trimmed = raw.trim();
+  if (trimmed.startsWith('{')) {
+    return Object.entries(JSON.parse(trimmed));
+  }
+  return trimmed.split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([group, value]) => group && value);
+};
+
+// Groups from the configured claim, always as an array of strings
+exports.groupsFromClaims = (claims) => {
+  const groups = claims[exports.settings().groupsClaim];
+  if (!groups) return [];
+  return (Array.isArray(groups) ? groups : [groups]).map(String);
+};
+
+// First entry of OIDC_ROLE_MAP whose group the user is in, so list the most
+// privileged mapping first. Returns null when no group maps to a role.
+exports.mapRole = (groups) => {
+  const match = parseMap(process.env.OIDC_ROLE_MAP).find(([group]) => groups.includes(group));
+  return match ? match[1] : null;
+};
+
+exports.mapDepartment = (groups) => {
+  const match = parseMap(process.env.OIDC_DEPARTMENT_MAP).find(([group]) => groups.includes(group));
+  return match ? match[1] : null;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const detail = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${detail}`);
+  }
+  return body;
+};
+
+exports.getMetadata = async () => {
+  if (metadataCache && Date.now() - metadataCache.loadedAt < METADATA_TTL_MS) {
+    return metadataCache.metadata;
+  }
+
+  const { issuer } = exports.settings();
+  const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== issuer) {
+    throw new Error(`OIDC discovery issuer mismatch: ${metadata.issuer}`);
+  }
+
+  metadataCache = { metadata, loadedAt: Date.now() };
+  return metadata;
+};
+
+// Signing key for `kid`; refetches the JWKS once when the key is unknown (rotation)
+const getSigningKey = async (kid) => {
+  const find = () => jwksCache && jwksCache.keys.find(key => key.kid === kid || (!kid && key.use !== 'enc'));
+
+  if (!find() || Date.now() - jwksCache.loadedAt > METADATA_TTL_MS) {
+    const metadata = await exports.getMetadata();
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { keys, loadedAt: Date.now() };
+  }
+
+  const jwk = find();
+  if (!jwk) {
+    throw new Error(`No OIDC signing key found for kid ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Start a login: returns the authorization URL plus the values to remember for the callback
+exports.createAuthorizationRequest = async () => {
+  const metadata = await exports.getMetadata();
+  const { clientId, redirectUri, scopes } = exports.settings();
+
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+// Exchange the authorization code and return the verified ID token claims
+exports.exchangeCode = async ({ code, codeVerifier, nonce }) => {
+  const metadata = await exports.getMetadata();
+  const { issuer, clientId, clientSecret, redirectUri } = exports.settings();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (clientSecret) {
+    headers.Authorization = `Basic ${Buffer.from(
+      `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`
+    ).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an id_token');
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw new Error('OIDC id_token is malformed');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'ES256', 'PS256'],
+    issuer: [issuer, `${issuer}/`],
+    audience: clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+
+  // Some providers only put groups in the userinfo response
+  if (!claims[exports.settings().groupsClaim] && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+    if (userinfo.sub === claims.sub) {
+      return { ...userinfo, ...claims };
+    }
+  }
+
+  return claims;
+};
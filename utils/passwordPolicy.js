@@ -0,0 +1,129 @@
+// File: utils/passwordPolicy.js
+// The one set of password rules, used wherever a user chooses a password
+// (registration, invitation acceptance, reset and change). Settings:
+//   PASSWORD_MIN_LENGTH (default 8), PASSWORD_MAX_LENGTH (default 72, bcrypt's limit)
+//   PASSWORD_MIN_CHARACTER_CLASSES (default 3 of lowercase, uppercase, digits, symbols)
+//   PASSWORD_HISTORY_COUNT (default 5 previous passwords that can't be reused; 0 disables)
+//   PASSWORD_BLOCKLIST_FILE (extra newline-separated list on top of data/common-passwords.txt)
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+
+const BUNDLED_BLOCKLIST = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+exports.settings = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 72,
+  minCharacterClasses: process.env.PASSWORD_MIN_CHARACTER_CLASSES !== undefined
+    ? parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES, 10)
+    : 3,
+  historyCount: process.env.PASSWORD_HISTORY_COUNT !== undefined
+    ? parseInt(process.env.PASSWORD_HISTORY_COUNT, 10)
+    : 5
+});
+
+let blocklist = null;
+
+const readList = (file) => fs.readFileSync(file, 'utf8')
+  .split(/\r?\n/)
+  .map(line => line.trim().toLowerCase())
+  .filter(line => line && !line.startsWith('#'));
+
+// Loaded once, on first use
+const getBlocklist = () => {
+  if (!blocklist) {
+    blocklist = new Set(readList(BUNDLED_BLOCKLIST));
+    if (process.env.PASSWORD_BLOCKLIST_FILE) {
+      readList(process.env.PASSWORD_BLOCKLIST_FILE).forEach(entry => blocklist.add(entry));
+    }
+  }
+  return blocklist;
+};
+
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// Common passwords with a number or symbol tacked on are still common
+const isCommon = (password) => {
+  const list = getBlocklist();
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+  return list.has(lower) || (stripped.length >= 4 && list.has(stripped));
+};
+
+// Name parts and the email's local part, for "doesn't contain your name" checks
+const personalTerms = (user) => {
+  const terms = [];
+  if (user.name) {
+    terms.push(...String(user.name).toLowerCase().split(/[^a-z0-9]+/));
+  }
+  if (user.email) {
+    const local = String(user.email).toLowerCase().split('@')[0];
+    terms.push(local, ...local.split(/[^a-z0-9]+/));
+  }
+  return [...new Set(terms)].filter(term => term.length >= 3);
+};
+
+// Check a candidate password. `user` supplies name/email and, for existing
+// accounts, `password` and `passwordHistory` hashes (select them first).
+// Returns a list of problems; empty means the password is acceptable.
+exports.validatePassword = async (password, user = {}) => {
+  const config = exports.settings();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < config.minLength) {
+    errors.push(`Password must be at least ${config.minLength} characters long`);
+    return errors;
+  }
+
+  if (password.length > config.maxLength) {
+    errors.push(`Password cannot be longer than ${config.maxLength} characters`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter(pattern => pattern.test(password)).length;
+  if (classes < config.minCharacterClasses) {
+    errors.push(`Password must contain at least ${config.minCharacterClasses} of: lowercase letters, uppercase letters, numbers, symbols`);
+  }
+
+  const lower = password.toLowerCase();
+  if (personalTerms(user).some(term => lower.includes(term))) {
+    errors.push('Password cannot contain your name or email address');
+  }
+
+  if (isCommon(password)) {
+    errors.push('This password is too common, please choose a different one');
+  }
+
+  if (config.historyCount > 0) {
+    const previous = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+    for (const hash of previous) {
+      if (await bcrypt.compare(password, hash)) {
+        errors.push(`Password cannot be the same as any of your last ${config.historyCount} passwords`);
+        break;
+      }
+    }
+  }
+
+  return errors;
+};
+
+// The rules in a form the frontend can show next to a password field
+exports.describePolicy = () => {
+  const config = exports.settings();
+  return {
+    minLength: config.minLength,
+    maxLength: config.maxLength,
+    minCharacterClasses: config.minCharacterClasses,
+    historyCount: config.historyCount,
+    rejectsCommonPasswords: true,
+    rejectsPersonalInformation: true
+  };
+};
+
+// Standard 400 response body for a rejected password
+exports.policyErrorResponse = (errors) => ({
+  success: false,
+  code: 'PASSWORD_POLICY',
+  message: errors.join('. '),
+  errors
+});
@@ -0,0 +1,259 @@
+// File: utils/policy.js
+// The single access-control policy. Every permission is "<resource>:<action>";
+// "<resource>:*" grants every action on a resource and "*" grants everything.
+// A user's effective permissions are their role's permissions (from the Role
+// collection, falling back to the built-in definitions below) plus any
+// permissions granted to the user directly.
+const Role = require('../models/Role');
+
+// Registry of every resource and the actions that can be granted on it
+const PERMISSION_REGISTRY = {
+  employees: {
+    read: 'View employees and employee statistics',
+    create: 'Invite employees and manage pending invitations',
+    update: 'Edit employees and change their status',
+    delete: 'Delete employees',
+    reset_password: 'Reset another employee\'s password',
+    unlock: 'Clear login lockouts',
+    manage_sessions: 'View employees\' sessions and login history and end their sessions'
+  },
+  users: {
+    impersonate: 'Act as another user to see what they see (support)'
+  },
+  registrations: {
+    read: 'View the practitioner signup queue',
+    approve: 'Approve or reject practitioner signups'
+  },
+  practitioners: {
+    read: 'View practitioners',
+    create: 'Create practitioners',
+    update: 'Edit practitioners',
+    delete: 'Delete practitioners',
+    moderate: 'Approve or reject profile edits proposed by practitioners',
+    link: 'Approve profile claims and link practitioner accounts'
+  },
+  appointments: {
+    read: 'View appointment requests and bookings',
+    manage: 'Confirm, decline, reschedule and cancel appointments'
+  },
+  events: {
+    read: 'View events',
+    create: 'Create events',
+    update: 'Edit events',
+    delete: 'Delete events'
+  },
+  uploads: {
+    read: 'View uploaded image details',
+    create: 'Upload images',
+    delete: 'Delete uploaded images'
+  },
+  roles: {
+    read: 'View roles and permissions',
+    manage: 'Create, edit and delete roles'
+  },
+  audit: {
+    read: 'View the audit log and verify its integrity',
+    export: 'Export signed audit log extracts for auditors'
+  },
+  api_keys: {
+    manage: 'Create, change and revoke API keys for integrations'
+  },
+  analytics: {
+    read: 'View analytics'
+  },
+  settings: {
+    manage: 'Change system settings'
+  }
+};
+
+// Permission names used before the registry existed, still accepted on users
+const LEGACY_PERMISSIONS = {
+  manage_users: [
+    'employees:read',
+    'employees:create',
+    'employees:update',
+    'employees:unlock',
+    'registrations:read',
+    'registrations:approve'
+  ],
+  delete_users: ['employees:delete'],
+  change_user_passwords: ['employees:reset_password'],
+  manage_events: ['events:*'],
+  manage_practitioners: ['practitioners:*'],
+  view_analytics: ['analytics:read'],
+  system_settings: ['settings:manage']
+};
+
+const STAFF_PERMISSIONS = ['employees:read', 'practitioners:*', 'events:*', 'appointments:*', 'analytics:read'];
+
+// Seeded into the Role collection on startup; also used until seeding completes
+const BUILT_IN_ROLES = {
+  admin: {
+    displayName: 'Admin',
+    description: 'Full access to everything',
+    permissions: ['*'],
+    isEmployee: true
+  },
+  manager: {
+    displayName: 'Manager',
+    description: 'Manages practitioners and events',
+    permissions: STAFF_PERMISSIONS,
+    isEmployee: true
+  },
+  staff: {
+    displayName: 'Staff',
+    description: 'Manages practitioners and events',
+    permissions: STAFF_PERMISSIONS,
+    isEmployee: true
+  },
+  support: {
+    displayName: 'Support',
+    description: 'Supports users and practitioners',
+    permissions: STAFF_PERMISSIONS,
+    isEmployee: true
+  },
+  practitioner: {
+    displayName: 'Practitioner',
+    description: 'Practitioner account',
+    permissions: [],
+    isEmployee: false
+  },
+  user: {
+    displayName: 'User',
+    description: 'Public user account',
+    permissions: [],
+    isEmployee: false
+  }
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().lean();
+  const map = new Map();
+  Object.entries(BUILT_IN_ROLES).forEach(([name, definition]) => {
+    map.set(name, { name, isSystem: true, ...definition });
+  });
+  roles.forEach(role => map.set(role.name, role));
+
+  roleCache = map;
+  roleCacheLoadedAt = Date.now();
+  return roleCache;
+};
+
+// Drop cached roles after /api/roles changes them
+exports.invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+exports.PERMISSION_REGISTRY = PERMISSION_REGISTRY;
+exports.LEGACY_PERMISSIONS = LEGACY_PERMISSIONS;
+exports.BUILT_IN_ROLES = BUILT_IN_ROLES;
+
+// Whether a permission string can be granted to a role or user
+exports.isValidPermission = (permission) => {
+  if (permission === '*' || LEGACY_PERMISSIONS[permission]) return true;
+
+  const [resource, action] = String(permission).split(':');
+  if (!PERMISSION_REGISTRY[resource]) return false;
+  return action === '*' || Boolean(PERMISSION_REGISTRY[resource][action]);
+};
+
+// Expand legacy names into registry permissions
+const expandPermissions = (permissions) => {
+  const expanded = new Set();
+  (permissions || []).forEach(permission => {
+    (LEGACY_PERMISSIONS[permission] || [permission]).forEach(p => expanded.add(p));
+  });
+  return expanded;
+};
+
+// Whether a set of held permissions covers `permission` (which may itself be a wildcard)
+const covers = (held, permission) => {
+  if (held.has('*')) return true;
+  if (permission === '*') return false;
+
+  const [resource, action] = permission.split(':');
+  if (held.has(`${resource}:*`)) return true;
+  if (action === '*') return false;
+  return held.has(permission);
+};
+
+exports.getRole = async (name) => {
+  const roles = await loadRoles();
+  return roles.get(name) || null;
+};
+
+exports.listRoles = async () => {
+  const roles = await loadRoles();
+  return [...roles.values()];
+};
+
+exports.roleExists = async (name) => {
+  return Boolean(await exports.getRole(name));
+};
+
+// Names of every staff-side role, built-in or custom
+exports.employeeRoleNames = async () => {
+  const roles = await loadRoles();
+  return [...roles.values()].filter(role => role.isEmployee).map(role => role.name);
+};
+
+// Synchronous best-effort check for virtuals: uses whatever roles were last
+// loaded, falling back to the built-in definitions
+exports.isEmployeeRole = (name) => {
+  const role = (roleCache && roleCache.get(name)) || BUILT_IN_ROLES[name];
+  return Boolean(role && role.isEmployee);
+};
+
+// Effective permissions for anything with `role` and `permissions` (req.user or a User)
+exports.effectivePermissions = async (user) => {
+  const role = user && user.role ? await exports.getRole(user.role) : null;
+  const permissions = expandPermissions(role ? role.permissions : []);
+  expandPermissions(user ? user.permissions : []).forEach(p => permissions.add(p));
+  return permissions;
+};
+
+// The one access check: can `user` perform `action` on `resource`?
+exports.can = async (user, action, resource) => {
+  if (!user) return false;
+  const held = await exports.effectivePermissions(user);
+  return covers(held, `${resource}:${action}`);
+};
+
+// Whether `actor` holds every permission a role/permission grant would hand out,
+// so nobody can grant more than they have themselves
+exports.canGrant = async (actor, { role, permissions } = {}) => {
+  const held = await exports.effectivePermissions(actor);
+  const granted = expandPermissions(permissions);
+
+  if (role) {
+    const roleDefinition = await exports.getRole(role);
+    expandPermissions(roleDefinition ? roleDefinition.permissions : []).forEach(p => granted.add(p));
+  }
+
+  return [...granted].every(permission => covers(held, permission));
+};
+
+// Whether `actor` may change `target`'s account: only if they hold everything
+// the target holds, so nobody acts on someone with more access than themselves
+exports.canManage = (actor, target) => exports.canGrant(actor, { role: target.role, permissions: target.permissions });
+
+// Insert any built-in role missing from the Role collection. Existing roles are
+// left alone so admins can tune the built-in permission sets.
+exports.seedBuiltInRoles = async () => {
+  await Promise.all(Object.entries(BUILT_IN_ROLES).map(([name, definition]) => {
+    return Role.updateOne(
+      { name },
+      { $setOnInsert: { name, ...definition, isSystem: true } },
+      { upsert: true }
+    );
+  }));
+  exports.invalidateRoleCache();
+};
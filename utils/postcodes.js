@@ -0,0 +1,58 @@
+// File: utils/postcodes.js
+// Offline geocoding: postcode -> centroid, from data/postcodes.csv plus the
+// optional POSTCODE_DATASET_FILE (same "postcode,latitude,longitude,place"
+// format; its rows win over the bundled ones). No requests leave the server.
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED_DATASET = path.join(__dirname, '..', 'data', 'postcodes.csv');
+
+// "sw1a 1aa" and "SW1A1AA" are the same postcode
+exports.normalize = (postcode) => String(postcode || '').toUpperCase().replace(/\s+/g, '');
+
+let centroids = null;
+
+const readDataset = (file, into) => {
+  fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .forEach(line => {
+      const [postcode, latitude, longitude, ...place] = line.split(',');
+      const lat = parseFloat(latitude);
+      const lng = parseFloat(longitude);
+      if (!postcode || isNaN(lat) || isNaN(lng)) return;
+
+      into.set(exports.normalize(postcode), {
+        latitude: lat,
+        longitude: lng,
+        place: place.join(',').trim() || null
+      });
+    });
+};
+
+// Loaded once, on first use
+const getCentroids = () => {
+  if (!centroids) {
+    centroids = new Map();
+    readDataset(BUNDLED_DATASET, centroids);
+    if (process.env.POSTCODE_DATASET_FILE) {
+      readDataset(process.env.POSTCODE_DATASET_FILE, centroids);
+    }
+  }
+  return centroids;
+};
+
+// { latitude, longitude, place } for a postcode, or null if it isn't in the dataset
+exports.lookup = (postcode) => getCentroids().get(exports.normalize(postcode)) || null;
+
+// The last known postcode mentioned in free text such as "12 High St, Carlton VIC 3053".
+// Pairs of words are tried too, for postcodes written with a space.
+exports.findInText = (text) => {
+  const words = String(text || '').split(/[\s,]+/).filter(Boolean);
+  for (let i = words.length - 1; i >= 0; i--) {
+    if (i > 0 && exports.lookup(words[i - 1] + words[i])) return exports.normalize(words[i - 1] + words[i]);
+    if (exports.lookup(words[i])) return exports.normalize(words[i]);
+  }
+  return null;
+};
@@ -0,0 +1,166 @@
+// File: utils/practitionerClaims.js
+// "Claim your profile": a practitioner-role account proves it controls a
+// directory profile's email address, then the profile is linked to it.
+// PRACTITIONER_CLAIM_REVIEW decides when staff must approve:
+//   conflicts - only when another account owns or is claiming the profile (default)
+//   always    - every verified claim waits for staff
+const crypto = require('crypto');
+const Practitioner = require('../models/Practitioner');
+const PractitionerClaim = require('../models/PractitionerClaim');
+const User = require('../models/User');
+const { sendMail, appUrl } = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const expireHours = () => parseInt(process.env.PRACTITIONER_CLAIM_EXPIRE_HOURS, 10) || 48;
+
+const reviewMode = () => ((process.env.PRACTITIONER_CLAIM_REVIEW || 'conflicts').toLowerCase() === 'always'
+  ? 'always'
+  : 'conflicts');
+
+// Reasons this claim can't simply be granted
+exports.detectConflicts = async (practitioner, claimantId) => {
+  const conflicts = [];
+
+  if (practitioner.user && !practitioner.user.equals(claimantId)) {
+    const owner = await User.findById(practitioner.user).select('email');
+    conflicts.push({
+      kind: 'already_linked',
+      detail: `Profile is already linked to ${owner ? owner.email : `account ${practitioner.user}`}`
+    });
+  }
+
+  const competing = await PractitionerClaim.find({
+    practitioner: practitioner._id,
+    claimant: { $ne: claimantId },
+    status: { $in: PractitionerClaim.OPEN_STATUSES }
+  }).populate('claimant', 'email');
+
+  if (competing.length > 0) {
+    conflicts.push({
+      kind: 'competing_claim',
+      detail: `Also claimed by ${competing.map(claim => (claim.claimant ? claim.claimant.email : 'a deleted account')).join(', ')}`
+    });
+  }
+
+  return conflicts;
+};
+
+// Email a fresh one-time link to the profile's address
+exports.sendVerification = async (claim, practitioner, claimant) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  claim.verificationTokenHash = hashToken(token);
+  claim.verificationExpiresAt = new Date(Date.now() + expireHours() * 60 * 60 * 1000);
+  claim.verificationEmail = practitioner.email;
+  await claim.save();
+
+  await sendMail({
+    to: practitioner.email,
+    ...emailTemplates.practitionerClaimVerification({
+      name: practitioner.name,
+      claimantName: claimant.name,
+      claimantEmail: claimant.email,
+      verifyUrl: appUrl(`/claim-profile/verify/${token}`),
+      expiresInHours: expireHours()
+    })
+  });
+};
+
+// The claimant's open claim awaiting verification for a link token, or null.
+// Tying the token to the signed-in claimant means the link only proves
+// anything when the claimant can read the profile's inbox: someone else
+// clicking it (e.g. the practitioner, out of habit) does nothing.
+exports.findByToken = (token, claimantId) => PractitionerClaim.findOne({
+  verificationTokenHash: hashToken(String(token)),
+  claimant: claimantId,
+  status: 'pending_verification',
+  verificationExpiresAt: { $gt: new Date() }
+});
+
+// Link the profile to the claimant and close the claim. Without `override`
+// the link only happens if no other account owns the profile.
+// Returns the practitioner, or null if another account got there first.
+exports.approve = async (claim, { reviewer = null, note, override = false } = {}) => {
+  const ownerCondition = override ? {} : { $or: [{ user: null }, { user: claim.claimant }] };
+  const practitioner = await Practitioner.findOneAndUpdate(
+    { _id: claim.practitioner, ...ownerCondition },
+    { user: claim.claimant },
+    { new: true }
+  );
+  if (!practitioner) return null;
+
+  // An account manages one profile; an override moves it off any other
+  await Practitioner.updateMany(
+    { user: claim.claimant, _id: { $ne: practitioner._id } },
+    { $unset: { user: 1 } }
+  );
+
+  claim.status = 'approved';
+  claim.reviewedBy = reviewer;
+  claim.reviewedAt = new Date();
+  claim.reviewNote = note;
+  claim.overridden = override;
+  await claim.save();
+
+  // Everyone else's open claims for this profile lose
+  await PractitionerClaim.updateMany(
+    { practitioner: practitioner._id, _id: { $ne: claim._id }, status: { $in: PractitionerClaim.OPEN_STATUSES } },
+    {
+      status: 'rejected',
+      reviewedBy: reviewer,
+      reviewedAt: new Date(),
+      reviewNote: 'Another claim for this profile was approved'
+    }
+  );
+
+  await exports.notifyClaimant(claim, practitioner, 'practitionerClaimApproved', { loginUrl: appUrl('/login') });
+  return practitioner;
+};
+
+// After the email link is used: grant the claim, or queue it for staff
+exports.completeVerification = async (claim) => {
+  const practitioner = await Practitioner.findById(claim.practitioner);
+  if (!practitioner) {
+    claim.status = 'rejected';
+    claim.reviewNote = 'The profile no longer exists';
+    await claim.save();
+    return claim;
+  }
+
+  claim.emailVerifiedAt = new Date();
+  claim.verificationTokenHash = undefined;
+  claim.conflicts = await exports.detectConflicts(practitioner, claim.claimant);
+
+  if (claim.conflicts.length === 0 && reviewMode() === 'conflicts') {
+    if (await exports.approve(claim)) {
+      return claim;
+    }
+    // Linked to someone else between the check and the update
+    claim.conflicts = await exports.detectConflicts(await Practitioner.findById(claim.practitioner), claim.claimant);
+  }
+
+  claim.status = 'pending_review';
+  await claim.save();
+
+  if (claim.conflicts.length > 0) {
+    console.warn(`⚠️ Conflicting claim ${claim._id} for practitioner ${practitioner._id}: ${claim.conflicts.map(c => c.kind).join(', ')}`);
+  }
+  return claim;
+};
+
+// Tell the claimant how their claim ended. Never throws.
+exports.notifyClaimant = async (claim, practitioner, template, details = {}) => {
+  try {
+    const claimant = await User.findById(claim.claimant).select('name email');
+    if (!claimant) return;
+
+    await sendMail({
+      to: claimant.email,
+      ...emailTemplates[template]({ name: claimant.name, profileName: practitioner.name, ...details })
+    });
+  } catch (err) {
+    console.error(`❌ Failed to send ${template} email for claim ${claim._id}:`, err.message);
+  }
+};
@@ -0,0 +1,94 @@
+// File: utils/practitionerRevisions.js
+// Which profile fields practitioners may change themselves, and how a
+// proposal is checked and compared with the live profile.
+const audit = require('./audit');
+const { scheduleErrors } = require('./availability');
+const { labels } = require('./locations');
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : null);
+
+// field -> (value, practitioner) => { value } or { error }
+const EDITABLE_FIELDS = {
+  bio: (value) => {
+    const bio = typeof value === 'string' ? value.trim() : '';
+    if (!bio) return { error: 'Bio cannot be empty' };
+    if (bio.length > 1000) return { error: 'Bio cannot be more than 1000 characters' };
+    return { value: bio };
+  },
+  fees: (value, practitioner) => {
+    const current = (practitioner.fees && practitioner.fees.toObject ? practitioner.fees.toObject() : practitioner.fees) || {};
+    const fees = { initial: current.initial, followUp: current.followUp };
+    for (const key of ['initial', 'followUp']) {
+      if (value && value[key] !== undefined) {
+        const amount = Number(value[key]);
+        if (!Number.isFinite(amount) || amount < 0) return { error: `fees.${key} must be a positive number` };
+        fees[key] = amount;
+      }
+    }
+    return { value: fees };
+  },
+  insurances: (value) => {
+    const insurances = toStringList(value);
+    return insurances ? { value: insurances } : { error: 'insurances must be a list' };
+  },
+  availability: (value) => ({ value: value ? String(value).trim() : '' }),
+  schedule: (value, practitioner) => {
+    const errors = scheduleErrors(value, labels(practitioner.locations));
+    return errors.length > 0 ? { error: errors.join(', ') } : { value };
+  },
+  imageUrl: (value) => {
+    const imageUrl = value ? String(value) : '';
+    if (imageUrl && !imageUrl.startsWith('/uploads/')) return { error: 'Photos must be uploaded through /api/me/practitioner-profile/photo' };
+    return { value: imageUrl };
+  }
+};
+
+exports.EDITABLE_FIELDS = Object.keys(EDITABLE_FIELDS);
+
+// Check the editable fields present in `body`; returns { proposed, errors }
+exports.parseProposal = (body, practitioner) => {
+  const proposed = {};
+  const errors = [];
+
+  Object.entries(EDITABLE_FIELDS).forEach(([field, parse]) => {
+    if (body[field] === undefined) return;
+    const result = parse(body[field], practitioner);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      proposed[field] = result.value;
+    }
+  });
+
+  return { proposed, errors };
+};
+
+// Current values of the proposed fields, as plain data
+exports.currentValues = (practitioner, fields) => {
+  const profile = practitioner.toObject ? practitioner.toObject({ depopulate: true, virtuals: false }) : practitioner;
+  const current = {};
+  fields.forEach(field => {
+    current[field] = profile[field];
+  });
+  return current;
+};
+
+// Field-level diff of a proposal against the live profile
+exports.diffProposal = (practitioner, proposed) => {
+  const fields = Object.keys(proposed);
+  return audit.diff(exports.currentValues(practitioner, fields), proposed);
+};
+
+// Paths staff have changed on the live profile since the revision was
+// submitted, which approving it would overwrite
+exports.conflicts = (revision, practitioner) => {
+  const submittedBefore = new Map(revision.changes.map(change => [change.path, JSON.stringify(change.before)]));
+
+  return exports.diffProposal(practitioner, revision.proposed)
+    .filter(change => submittedBefore.get(change.path) !== JSON.stringify(change.before))
+    .map(change => ({
+      path: change.path,
+      current: change.before,
+      proposed: change.after
+    }));
+};
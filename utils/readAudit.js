@@ -0,0 +1,89 @@
+// File: utils/readAudit.js
+// Logs reads of protected records. Only the models listed in
+// READ_AUDIT_FIELDS are logged, and only when the response actually contains
+// one of their sensitive fields. Set it to JSON such as
+//   {"User":["email","phone"],"Practitioner":["email","phone","address"]}
+// to change the defaults; an empty list switches logging off for that model.
+const ReadAccessLog = require('../models/ReadAccessLog');
+
+const DEFAULT_SENSITIVE_FIELDS = {
+  User: ['email', 'phone', 'department'],
+  Practitioner: ['email', 'phone', 'address']
+};
+
+const PURPOSE_HEADER = 'X-Access-Purpose';
+const MAX_PURPOSE_LENGTH = 500;
+
+let sensitiveFields = null;
+
+const loadSensitiveFields = () => {
+  if (sensitiveFields) return sensitiveFields;
+
+  sensitiveFields = DEFAULT_SENSITIVE_FIELDS;
+  if (process.env.READ_AUDIT_FIELDS) {
+    try {
+      sensitiveFields = { ...DEFAULT_SENSITIVE_FIELDS, ...JSON.parse(process.env.READ_AUDIT_FIELDS) };
+    } catch (err) {
+      console.error('❌ READ_AUDIT_FIELDS is not valid JSON; using the defaults:', err.message);
+    }
+  }
+  return sensitiveFields;
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+exports.PURPOSE_HEADER = PURPOSE_HEADER;
+
+// Sensitive fields configured for a model
+exports.sensitiveFieldsFor = (modelName) => loadSensitiveFields()[modelName] || [];
+
+// Access log entry for one record, or null if it shows no sensitive fields
+const entryFor = (req, modelName, record, purpose) => {
+  const data = record && typeof record.toObject === 'function' ? record.toObject() : record;
+  const fields = exports.sensitiveFieldsFor(modelName).filter(field => data && hasValue(data[field]));
+  if (fields.length === 0) return null;
+
+  return {
+    viewer: {
+      id: req.user.id,
+      email: req.user.email,
+      name: req.user.name,
+      role: req.user.role,
+      type: req.user.isServiceAccount ? 'api_key' : 'user',
+      impersonatedBy: req.user.impersonator
+        ? { id: req.user.impersonator.id, email: req.user.impersonator.email }
+        : undefined
+    },
+    targetModel: modelName,
+    targetId: String(data._id),
+    fields,
+    purpose: purpose || undefined,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+};
+
+// Log that req.user was shown `record` (a document or plain object) of
+// `modelName`. Never throws: a failed write is logged rather than failing the request.
+exports.recordRead = async (req, modelName, record) =>
+  (await exports.recordReads(req, modelName, [record]))[0] || null;
+
+// The same for every record in a list response: one entry per record, so
+// listing can't be used to see records without showing up in their access report
+exports.recordReads = async (req, modelName, records) => {
+  if (!req.user) return [];
+
+  const purpose = (req.get(PURPOSE_HEADER) || '').trim().slice(0, MAX_PURPOSE_LENGTH);
+  const entries = records.map(record => entryFor(req, modelName, record, purpose)).filter(Boolean);
+  if (entries.length === 0) return [];
+
+  try {
+    return await ReadAccessLog.insertMany(entries);
+  } catch (err) {
+    console.error(`❌ Failed to write read access log (${modelName}, ${entries.length} records):`, err.message);
+    return [];
+  }
+};
@@ -0,0 +1,14 @@
+// File: utils/requestContext.js
+// Per-request context carried through async calls (AsyncLocalStorage), so code
+// far from the route handler, such as mongoose hooks, can tell who is acting.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware: open a context for the rest of the request
+exports.middleware = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+// The current context ({ req, ...flags }) or undefined outside a request
+exports.getContext = () => storage.getStore();
@@ -0,0 +1,40 @@
+// File: utils/roleAudit.js
+// Until registration was locked down, POST /api/auth/register accepted any
+// role from the request body. This check runs at startup and reports accounts
+// holding an elevated role that no administrator ever granted.
+const User = require('../models/User');
+const { employeeRoleNames } = require('./policy');
+
+// Elevated accounts that signed themselves up, or that have no creator and
+// predate registrationSource tracking
+exports.findSelfAssignedRoles = async () => {
+  const employeeRoles = await employeeRoleNames();
+
+  return User.find({
+    role: { $in: employeeRoles },
+    $or: [
+      { registrationSource: 'self' },
+      { registrationSource: null, createdBy: null }
+    ]
+  })
+    .select('name email role status createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+exports.reportSelfAssignedRoles = async () => {
+  const accounts = await exports.findSelfAssignedRoles();
+
+  if (accounts.length === 0) {
+    console.log('🛡️ Role audit: no self-assigned elevated roles found');
+    return accounts;
+  }
+
+  console.warn(`⚠️ Role audit: ${accounts.length} account(s) hold an elevated role that was not granted by an administrator:`);
+  accounts.forEach(account => {
+    console.warn(`   - ${account.email} (${account.role}, ${account.status}, created ${new Date(account.createdAt).toISOString()})`);
+  });
+  console.warn('   Review these accounts and re-grant roles through /api/employees where appropriate.');
+
+  return accounts;
+};
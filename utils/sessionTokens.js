@@ -0,0 +1,104 @@
+// File: utils/sessionTokens.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only a hash of the secret is stored
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenLifetimeMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+// Create a new server-side session and return the token pair for it
+exports.createSession = async (user, req, { method = 'password', mfaUsed = false } = {}) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip || '',
+    loginMethod: method,
+    mfaUsed,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + refreshTokenLifetimeMs())
+  });
+
+  return {
+    session,
+    token: user.getSignedJwtToken(session._id),
+    refreshToken: `${session._id}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// can't be used; presenting an already-rotated token revokes the whole session.
+exports.rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session._id}, revoking`);
+    await session.revoke('refresh_token_reuse');
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || (user.status && user.status !== 'active')) {
+    await session.revoke('account_inactive');
+    return null;
+  }
+
+  // Rotate atomically so two concurrent refreshes can't both succeed
+  const secret = newSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      userAgent: req.get('user-agent') || session.userAgent,
+      ip: req.ip || session.ip
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    session: rotated,
+    user,
+    token: user.getSignedJwtToken(rotated._id),
+    refreshToken: `${rotated._id}.${secret}`
+  };
+};
+
+// Revoke the session a refresh token belongs to (used by logout)
+exports.revokeByRefreshToken = async (refreshToken, reason) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash');
+  if (!session || session.refreshTokenHash !== hashSecret(parsed.secret)) return false;
+
+  if (!session.revokedAt) {
+    await session.revoke(reason || 'logout');
+  }
+  return true;
+};